@@ -2,60 +2,160 @@ pragma circom 2.0.0;
 
 include "circomlib/circuits/poseidon.circom";
 include "circomlib/circuits/comparators.circom";
+include "circomlib/circuits/bitify.circom";
+include "circomlib/circuits/eddsaposeidon.circom";
 
 /**
- * KYC Age Verification Circuit
- * 
- * This circuit proves that:
- * 1. The user knows their age (private input)
- * 2. Their age is >= 18
- * 3. The age hash matches the expected hash from the credential
- * 4. The credential is signed by a trusted issuer
- * 
- * For simplicity, we use a mock signature verification where the signature
- * is just Poseidon(age, issuerPrivateKey). In production, use EdDSA.
+ * KYC Credential Verification Circuit
+ *
+ * A credential commits to a fixed schema of attributes:
+ *
+ *   holderCommitment = Poseidon(holderSecret)
+ *   credentialHash   = Poseidon(dateOfBirth, country, accredited, expiry, holderCommitment)
+ *
+ * and is signed by the issuer with BabyJubJub EdDSA-Poseidon. The holder
+ * draws holderSecret and only hands the issuer holderCommitment; the circuit
+ * proves knowledge of its preimage, so only the holder can prove with the
+ * credential or compute its nullifiers. Only the issuer's
+ * public key (Ax, Ay) is needed to check the signature, so the prover never
+ * sees the issuer's private key. The credential hash and signature are private
+ * inputs: the signature check against the public key binds them, and a public
+ * credential hash would be the same in every proof and known to the issuer.
+ *
+ * The public `policy` bitmask selects which predicates the proof shows; the
+ * attributes themselves stay private. Every selected predicate is a
+ * constraint, so no witness, and no proof, exists for a credential that
+ * fails one:
+ *
+ *   bit 0  AGE         the holder is at least minAge years old on currentDate
+ *   bit 1  COUNTRY     country is not in blockedCountries
+ *   bit 2  ACCREDITED  accredited == 1
+ *   bit 3  EXPIRY      expiry > currentDate
+ *
+ * Dates are YYYYMMDD integers (e.g. 20240131), so they compare in calendar
+ * order, and currentDate - dateOfBirth >= minAge * 10000 holds exactly when
+ * the holder has had their minAge-th birthday by currentDate. The age is
+ * computed at proof time, so a credential becomes valid once the holder comes
+ * of age.
+ * Dates are range checked to 27 bits (99991231 < 2^27) and minAge to 8 bits,
+ * so the 32-bit comparators cannot overflow.
+ * Countries are ISO 3166-1 numeric codes; unused blockedCountries slots are 0.
+ *
+ * A proof is bound to the account, chain and contract it is submitted to, so
+ * it cannot be copied from the mempool to verify another address. The
+ * nullifier Poseidon(holderSecret, credentialHash, scope) is the same for
+ * every proof from one credential in one app scope, so the contract can let
+ * a credential verify a single account per scope. It is the only public
+ * signal derived from the credential, and it mixes in holderSecret, which
+ * neither the issuer nor any verifier knows, so nullifiers from different
+ * scopes cannot be linked.
  */
-template KYCAgeVerification() {
+template KYCCredentialVerification(nBlocked) {
     // Private inputs (known only to the user)
-    signal private input age;           // User's actual age
-    signal private input signature;     // Signature from trusted issuer
-    signal private input issuerPrivateKey; // Mock private key (in production, use EdDSA)
+    signal input dateOfBirth;           // Holder's date of birth (YYYYMMDD)
+    signal input country;               // Country of residence (ISO 3166-1 numeric)
+    signal input accredited;            // 1 if the holder is an accredited investor
+    signal input expiry;                // Date the credential expires (YYYYMMDD)
+    signal input holderSecret;          // Random secret known only to the holder
+    signal input credentialHash;        // Poseidon of the attributes - from the credential
+    signal input signature[3];          // Issuer's EdDSA signature over credentialHash: [S, R8x, R8y]
     
     // Public inputs (visible on-chain)
-    signal input ageHash;               // Poseidon(age) - from the credential
-    signal input issuerPublicKey;       // Public key of the trusted issuer
-    signal input minAge;                // Minimum required age (typically 18)
+    signal input issuerPublicKey[2];    // Issuer's BabyJubJub public key: [Ax, Ay]
+    signal input policy;                // Bitmask of the predicates to check
+    signal input currentDate;           // Date the predicates are checked at (YYYYMMDD), checked on-chain
+    signal input minAge;                // Minimum required age (AGE)
+    signal input blockedCountries[nBlocked]; // Sanctioned countries (COUNTRY)
+    signal input account;               // Address the proof is submitted from
+    signal input chainId;               // Chain the proof is submitted on
+    signal input verifierAddress;       // KYCVerifier contract the proof is submitted to
+    signal input scope;                 // App scope of the nullifier
     
     // Output
-    signal output valid;                // 1 if verification passes, 0 otherwise
+    signal output nullifier;            // Poseidon(holderSecret, credentialHash, scope)
     
     // Components
-    component ageHasher = Poseidon(1);
-    component signatureHasher = Poseidon(2);
-    component ageComparator = GreaterEqualThan(8); // Support ages up to 255
-    
-    // Constraint 1: Verify that the provided age hashes to the expected ageHash
-    ageHasher.inputs[0] <== age;
-    ageHash === ageHasher.out;
-    
-    // Constraint 2: Verify that age >= minAge (typically 18)
-    ageComparator.in[0] <== age;
-    ageComparator.in[1] <== minAge;
-    
-    // Constraint 3: Mock signature verification
-    // In production, replace this with EdDSA signature verification
-    signatureHasher.inputs[0] <== age;
-    signatureHasher.inputs[1] <== issuerPrivateKey;
-    signature === signatureHasher.out;
-    
-    // Constraint 4: Verify issuer public key relationship (mock)
-    // In production, this would be handled by EdDSA verification
-    component pubKeyHasher = Poseidon(1);
-    pubKeyHasher.inputs[0] <== issuerPrivateKey;
-    issuerPublicKey === pubKeyHasher.out;
-    
-    // Output is valid only if age >= minAge
-    valid <== ageComparator.out;
+    component holderCommitmentHasher = Poseidon(1);
+    component credentialHasher = Poseidon(5);
+    component nullifierHasher = Poseidon(3);
+    component eddsaVerifier = EdDSAPoseidonVerifier();
+    component policyBits = Num2Bits(4);
+    component dateOfBirthBits = Num2Bits(27);
+    component expiryBits = Num2Bits(27);
+    component currentDateBits = Num2Bits(27);
+    component minAgeBits = Num2Bits(8);
+    component ageComparator = GreaterEqThan(32); // YYYYMMDD dates fit in 27 bits
+    component countryMatch[nBlocked];
+    component accreditedCheck = IsEqual();
+    component expiryComparator = GreaterThan(32);
+    
+    // Constraint 1: The attributes and the holder's commitment hash to the
+    // credential hash
+    holderCommitmentHasher.inputs[0] <== holderSecret;
+    credentialHasher.inputs[0] <== dateOfBirth;
+    credentialHasher.inputs[1] <== country;
+    credentialHasher.inputs[2] <== accredited;
+    credentialHasher.inputs[3] <== expiry;
+    credentialHasher.inputs[4] <== holderCommitmentHasher.out;
+    credentialHash === credentialHasher.out;
+    
+    // Constraint 2: The issuer signed the credential hash
+    eddsaVerifier.enabled <== 1;
+    eddsaVerifier.Ax <== issuerPublicKey[0];
+    eddsaVerifier.Ay <== issuerPublicKey[1];
+    eddsaVerifier.S <== signature[0];
+    eddsaVerifier.R8x <== signature[1];
+    eddsaVerifier.R8y <== signature[2];
+    eddsaVerifier.M <== credentialHash;
+    
+    // Constraint 3: One nullifier per credential and scope
+    nullifierHasher.inputs[0] <== holderSecret;
+    nullifierHasher.inputs[1] <== credentialHash;
+    nullifierHasher.inputs[2] <== scope;
+    nullifier <== nullifierHasher.out;
+    
+    // Bind the proof to where it is submitted. The binding inputs take part
+    // in no other constraint; squaring them keeps them in the circuit.
+    signal accountSquare <== account * account;
+    signal chainIdSquare <== chainId * chainId;
+    signal verifierAddressSquare <== verifierAddress * verifierAddress;
+    
+    // Range checks: the comparators below are only sound for inputs under 2^32
+    dateOfBirthBits.in <== dateOfBirth;
+    expiryBits.in <== expiry;
+    currentDateBits.in <== currentDate;
+    minAgeBits.in <== minAge;
+    
+    // Predicates
+    policyBits.in <== policy;
+    
+    // AGE: the user is minAge years old on currentDate
+    ageComparator.in[0] <== currentDate;
+    ageComparator.in[1] <== dateOfBirth + minAge * 10000;
+    
+    // COUNTRY: country differs from every blocked country
+    signal notBlocked[nBlocked + 1];
+    notBlocked[0] <== 1;
+    for (var i = 0; i < nBlocked; i++) {
+        countryMatch[i] = IsEqual();
+        countryMatch[i].in[0] <== country;
+        countryMatch[i].in[1] <== blockedCountries[i];
+        notBlocked[i + 1] <== notBlocked[i] * (1 - countryMatch[i].out);
+    }
+    
+    // ACCREDITED: the accreditation flag is set
+    accreditedCheck.in[0] <== accredited;
+    accreditedCheck.in[1] <== 1;
+    
+    // EXPIRY: the credential is still valid on currentDate
+    expiryComparator.in[0] <== expiry;
+    expiryComparator.in[1] <== currentDate;
+    
+    // Every predicate in the policy must hold
+    policyBits.out[0] * (1 - ageComparator.out) === 0;
+    policyBits.out[1] * (1 - notBlocked[nBlocked]) === 0;
+    policyBits.out[2] * (1 - accreditedCheck.out) === 0;
+    policyBits.out[3] * (1 - expiryComparator.out) === 0;
 }
 
-component main = KYCAgeVerification();
+component main {public [issuerPublicKey, policy, currentDate, minAge, blockedCountries, account, chainId, verifierAddress, scope]} = KYCCredentialVerification(8);
@@ -3,10 +3,31 @@ pragma solidity ^0.8.20;
 
 /**
  * @title KYCVerifier
- * @dev Smart contract for verifying zero-knowledge proofs of age verification
+ * @dev Smart contract for verifying zero-knowledge proofs of KYC credentials
  * 
- * This contract verifies that a user is over a certain age (typically 18)
- * without revealing their actual age, using zk-SNARKs.
+ * This contract verifies that a user is over a certain age (typically 18),
+ * is not resident in a sanctioned country, or is an accredited investor,
+ * without revealing their credential, using zk-SNARKs.
+ * 
+ * Credentials commit to a date of birth, country, accreditation flag and
+ * expiry. Each policy below is a fixed set of the circuit's predicates with
+ * its own verify function, so callers cannot pick a weaker policy. Proofs are
+ * checked at a public currentDate (YYYYMMDD), which must be within
+ * MAX_DATE_DRIFT of block.timestamp.
+ * 
+ * Proofs are bound to the account, chain and contract they are submitted to,
+ * so a proof copied from the mempool fails for any other sender. Each proof
+ * carries a nullifier that is fixed per credential and `scope`; the first
+ * account to use a nullifier owns it, so one credential verifies one account.
+ * Nullifiers are derived from a secret only the holder knows (the issuer signs
+ * a commitment to it), so nullifiers of one credential in different scopes
+ * cannot be linked, not even by the issuer.
+ * 
+ * Only the time each user last passed each policy is stored. A verification
+ * counts for VERIFICATION_PERIOD, so a credential that has since expired
+ * stops counting once the period is over. Credential hashes commit to
+ * the holder's secret, but are still not kept per user or emitted, so the
+ * contract's state does not link accounts to credentials.
  */
 
 // This will be replaced by the actual verifier generated by snarkjs
@@ -16,30 +37,65 @@ interface IVerifier {
         uint[2] memory _pA,
         uint[2][2] memory _pB,
         uint[2] memory _pC,
-        uint[4] memory _pubSignals
+        uint[18] memory _pubSignals
     ) external view returns (bool);
 }
 
 contract KYCVerifier {
     IVerifier public immutable verifier;
+    uint256 public immutable scope; // App scope of the nullifiers
+    
+    // One entry of batchVerifyAgeProofs
+    struct AgeProof {
+        uint[8] proof;
+        uint256[2] issuerPublicKey;
+        uint256 minAge;
+        uint256 currentDate;
+        uint256 nullifier;
+        address user;
+    }
     
     // Events
-    event AgeVerified(address indexed user, uint256 indexed ageHash, bool verified);
-    event IssuerAdded(uint256 indexed publicKey);
-    event IssuerRemoved(uint256 indexed publicKey);
+    event AgeVerified(address indexed user, uint256 indexed nullifier, bool verified);
+    event SanctionsScreened(address indexed user, uint256 indexed nullifier);
+    event AccreditationVerified(address indexed user, uint256 indexed nullifier);
+    event IssuerAdded(uint256 indexed Ax, uint256 indexed Ay);
+    event IssuerRemoved(uint256 indexed Ax, uint256 indexed Ay);
+    event SanctionedCountriesUpdated(uint256[] countries);
     
     // State variables
-    mapping(uint256 => bool) public trustedIssuers; // Public keys of trusted KYC issuers
-    mapping(address => bool) public verifiedUsers;  // Users who have successfully verified their age
-    mapping(address => uint256) public userAgeHashes; // Store age hash for each verified user
+    mapping(bytes32 => bool) public trustedIssuers; // issuerId of trusted KYC issuers' EdDSA keys
+    mapping(address => uint256) public ageVerifiedAt;      // When each user last passed AGE_POLICY, 0 if never
+    mapping(address => uint256) public sanctionsClearedAt; // When each user last passed SANCTIONS_POLICY, 0 if never
+    mapping(address => uint256) public accreditedAt;       // When each user last passed ACCREDITED_INVESTOR_POLICY, 0 if never
+    uint256[8] private sanctionedCountries; // ISO 3166-1 numeric codes, 0 for unused slots
+    mapping(uint256 => address) public usedNullifiers; // Account each credential nullifier verified
     
     uint256 public constant MIN_AGE = 18; // Default minimum age requirement
+    uint256 public constant MAX_DATE_DRIFT = 1 days; // Allowed distance of currentDate from block.timestamp (time zones, proving time)
+    uint256 public constant MAX_SANCTIONED_COUNTRIES = 8; // Size of the circuit's blockedCountries
+    uint256 public constant VERIFICATION_PERIOD = 30 days; // How long a verification counts; proofs only show the credential unexpired on currentDate
+    
+    // Predicates of the circuit's policy bitmask
+    uint256 public constant PREDICATE_AGE = 1;        // at least minAge years old on currentDate
+    uint256 public constant PREDICATE_COUNTRY = 2;    // country not in sanctionedCountries
+    uint256 public constant PREDICATE_ACCREDITED = 4; // accredited flag set
+    uint256 public constant PREDICATE_EXPIRY = 8;     // credential not expired on currentDate
+    
+    // Policies, one verify function each
+    uint256 public constant AGE_POLICY = PREDICATE_AGE | PREDICATE_EXPIRY;
+    uint256 public constant SANCTIONS_POLICY = PREDICATE_COUNTRY | PREDICATE_EXPIRY;
+    uint256 public constant ACCREDITED_INVESTOR_POLICY = PREDICATE_ACCREDITED | PREDICATE_COUNTRY | PREDICATE_EXPIRY;
     
     // Errors
     error InvalidProof();
     error UntrustedIssuer();
     error AlreadyVerified();
     error NotVerified();
+    error InvalidDate();
+    error TooManyCountries();
+    error NullifierAlreadyUsed();
+    error Deprecated();
     
     modifier onlyOwner() {
         require(msg.sender == owner, "Only owner can call this function");
@@ -48,131 +104,307 @@ contract KYCVerifier {
     
     address public owner;
     
-    constructor(address _verifier) {
+    constructor(address _verifier, uint256 _scope) {
         verifier = IVerifier(_verifier);
+        scope = _scope;
         owner = msg.sender;
     }
     
+    /**
+     * @dev Key under which an issuer is stored in trustedIssuers
+     * @param publicKey The issuer's BabyJubJub public key [Ax, Ay]
+     */
+    function issuerId(uint256[2] memory publicKey) public pure returns (bytes32) {
+        return keccak256(abi.encode(publicKey[0], publicKey[1]));
+    }
+    
     /**
      * @dev Add a trusted KYC issuer
-     * @param publicKey The public key of the trusted issuer
+     * @param publicKey The BabyJubJub EdDSA public key [Ax, Ay] of the trusted issuer
      */
-    function addTrustedIssuer(uint256 publicKey) external onlyOwner {
-        trustedIssuers[publicKey] = true;
-        emit IssuerAdded(publicKey);
+    function addTrustedIssuer(uint256[2] calldata publicKey) external onlyOwner {
+        trustedIssuers[issuerId(publicKey)] = true;
+        emit IssuerAdded(publicKey[0], publicKey[1]);
     }
     
     /**
      * @dev Remove a trusted KYC issuer
-     * @param publicKey The public key of the issuer to remove
+     * @param publicKey The public key [Ax, Ay] of the issuer to remove
+     */
+    function removeTrustedIssuer(uint256[2] calldata publicKey) external onlyOwner {
+        trustedIssuers[issuerId(publicKey)] = false;
+        emit IssuerRemoved(publicKey[0], publicKey[1]);
+    }
+    
+    /**
+     * @dev Convert a timestamp to a YYYYMMDD date (UTC)
+     * @param timestamp Seconds since the Unix epoch
      */
-    function removeTrustedIssuer(uint256 publicKey) external onlyOwner {
-        trustedIssuers[publicKey] = false;
-        emit IssuerRemoved(publicKey);
+    function toDate(uint256 timestamp) public pure returns (uint256) {
+        // Civil date from day number (Howard Hinnant's civil_from_days)
+        uint256 z = timestamp / 1 days + 719468;
+        uint256 era = z / 146097;
+        uint256 doe = z - era * 146097;
+        uint256 yoe = (doe - doe / 1460 + doe / 36524 - doe / 146096) / 365;
+        uint256 doy = doe - (365 * yoe + yoe / 4 - yoe / 100);
+        uint256 mp = (5 * doy + 2) / 153;
+        uint256 day = doy - (153 * mp + 2) / 5 + 1;
+        uint256 month = mp < 10 ? mp + 3 : mp - 9;
+        uint256 year = yoe + era * 400 + (month <= 2 ? 1 : 0);
+        return year * 10000 + month * 100 + day;
     }
     
     /**
-     * @dev Verify age proof using zk-SNARK
+     * @dev Whether a proof's currentDate is within MAX_DATE_DRIFT of the block time
+     * @param currentDate The date (YYYYMMDD) the proof computed the age at
+     */
+    function isCurrentDate(uint256 currentDate) public view returns (bool) {
+        return currentDate >= toDate(block.timestamp - MAX_DATE_DRIFT) &&
+            currentDate <= toDate(block.timestamp + MAX_DATE_DRIFT);
+    }
+    
+    /**
+     * @dev Set the sanctioned countries checked by SANCTIONS_POLICY and
+     * ACCREDITED_INVESTOR_POLICY
+     * @param countries ISO 3166-1 numeric codes, at most MAX_SANCTIONED_COUNTRIES
+     */
+    function setSanctionedCountries(uint256[] calldata countries) external onlyOwner {
+        if (countries.length > MAX_SANCTIONED_COUNTRIES) {
+            revert TooManyCountries();
+        }
+        
+        for (uint i = 0; i < MAX_SANCTIONED_COUNTRIES; i++) {
+            sanctionedCountries[i] = i < countries.length ? countries[i] : 0;
+        }
+        emit SanctionedCountriesUpdated(countries);
+    }
+    
+    /**
+     * @dev The sanctioned countries, padded with 0 to MAX_SANCTIONED_COUNTRIES
+     * Proofs for policies with PREDICATE_COUNTRY must use this list as the
+     * circuit's blockedCountries.
+     */
+    function getSanctionedCountries() external view returns (uint256[8] memory) {
+        return sanctionedCountries;
+    }
+    
+    /**
+     * @dev Verify age proof using zk-SNARK (AGE_POLICY)
      * @param proof The zk-SNARK proof components
-     * @param ageHash Hash of the user's age (Poseidon(age))
-     * @param issuerPublicKey Public key of the KYC issuer
+     * @param issuerPublicKey EdDSA public key [Ax, Ay] of the KYC issuer that signed the credential
      * @param minAge Minimum required age (should be >= MIN_AGE)
+     * @param currentDate Date (YYYYMMDD) the proof was computed at; must be within MAX_DATE_DRIFT of now
+     * @param nullifier The credential's nullifier in this scope
      */
     function verifyAgeProof(
         uint[8] calldata proof, // [pA[0], pA[1], pB[0][0], pB[0][1], pB[1][0], pB[1][1], pC[0], pC[1]]
-        uint256 ageHash,
-        uint256 issuerPublicKey,
-        uint256 minAge
+        uint256[2] calldata issuerPublicKey,
+        uint256 minAge,
+        uint256 currentDate,
+        uint256 nullifier
+    ) external returns (bool) {
+        // Ensure minimum age requirement
+        require(minAge >= MIN_AGE, "Minimum age too low");
+        
+        _checkCredential(proof, issuerPublicKey, AGE_POLICY, currentDate, minAge, nullifier);
+        
+        // Mark user as verified
+        ageVerifiedAt[msg.sender] = block.timestamp;
+        
+        emit AgeVerified(msg.sender, nullifier, true);
+        return true;
+    }
+    
+    /**
+     * @dev Verify that the user is not resident in a sanctioned country (SANCTIONS_POLICY)
+     * @param proof The zk-SNARK proof components
+     * @param issuerPublicKey EdDSA public key [Ax, Ay] of the KYC issuer that signed the credential
+     * @param currentDate Date (YYYYMMDD) the proof was computed at; must be within MAX_DATE_DRIFT of now
+     * @param nullifier The credential's nullifier in this scope
+     */
+    function verifySanctionsProof(
+        uint[8] calldata proof,
+        uint256[2] calldata issuerPublicKey,
+        uint256 currentDate,
+        uint256 nullifier
+    ) external returns (bool) {
+        _checkCredential(proof, issuerPublicKey, SANCTIONS_POLICY, currentDate, 0, nullifier);
+        
+        sanctionsClearedAt[msg.sender] = block.timestamp;
+        
+        emit SanctionsScreened(msg.sender, nullifier);
+        return true;
+    }
+    
+    /**
+     * @dev Verify that the user is an accredited investor outside the
+     * sanctioned countries (ACCREDITED_INVESTOR_POLICY)
+     * @param proof The zk-SNARK proof components
+     * @param issuerPublicKey EdDSA public key [Ax, Ay] of the KYC issuer that signed the credential
+     * @param currentDate Date (YYYYMMDD) the proof was computed at; must be within MAX_DATE_DRIFT of now
+     * @param nullifier The credential's nullifier in this scope
+     */
+    function verifyAccreditedInvestorProof(
+        uint[8] calldata proof,
+        uint256[2] calldata issuerPublicKey,
+        uint256 currentDate,
+        uint256 nullifier
     ) external returns (bool) {
+        _checkCredential(proof, issuerPublicKey, ACCREDITED_INVESTOR_POLICY, currentDate, 0, nullifier);
+        
+        accreditedAt[msg.sender] = block.timestamp;
+        
+        emit AccreditationVerified(msg.sender, nullifier);
+        return true;
+    }
+    
+    /**
+     * @dev Revert unless the proof shows `policy` for a credential from a
+     * trusted issuer, bound to msg.sender; then claim its nullifier for msg.sender
+     */
+    function _checkCredential(
+        uint[8] calldata proof,
+        uint256[2] calldata issuerPublicKey,
+        uint256 policy,
+        uint256 currentDate,
+        uint256 minAge,
+        uint256 nullifier
+    ) internal {
         // Check if issuer is trusted
-        if (!trustedIssuers[issuerPublicKey]) {
+        if (!trustedIssuers[issuerId(issuerPublicKey)]) {
             revert UntrustedIssuer();
         }
         
-        // Ensure minimum age requirement
-        require(minAge >= MIN_AGE, "Minimum age too low");
+        // The proof must be computed at today's date
+        if (!isCurrentDate(currentDate)) {
+            revert InvalidDate();
+        }
         
-        // Prepare proof components for verifier
-        uint[2] memory pA = [proof[0], proof[1]];
-        uint[2][2] memory pB = [[proof[2], proof[3]], [proof[4], proof[5]]];
-        uint[2] memory pC = [proof[6], proof[7]];
-        uint[4] memory pubSignals = [ageHash, issuerPublicKey, minAge, 1]; // Last element should be 1 for valid proof
+        // One account per credential
+        if (!_isNullifierFree(nullifier, msg.sender)) {
+            revert NullifierAlreadyUsed();
+        }
         
         // Verify the zk-SNARK proof
-        bool isValid = verifier.verifyProof(pA, pB, pC, pubSignals);
-        
-        if (!isValid) {
+        if (!_verifyPolicy(proof, issuerPublicKey, policy, currentDate, minAge, nullifier, msg.sender)) {
             revert InvalidProof();
         }
         
-        // Mark user as verified and store their age hash
-        verifiedUsers[msg.sender] = true;
-        userAgeHashes[msg.sender] = ageHash;
+        usedNullifiers[nullifier] = msg.sender;
+    }
+    
+    /**
+     * @dev Whether `account` may use a nullifier: unused, or already its own
+     */
+    function _isNullifierFree(uint256 nullifier, address account) internal view returns (bool) {
+        address holder = usedNullifiers[nullifier];
+        return holder == address(0) || holder == account;
+    }
+    
+    /**
+     * @dev Check the zk-SNARK proof for a policy
+     * minAge and the blocked countries are only set for policies that check
+     * them, so proofs for other policies use 0.
+     */
+    function _verifyPolicy(
+        uint[8] calldata proof,
+        uint256[2] calldata issuerPublicKey,
+        uint256 policy,
+        uint256 currentDate,
+        uint256 minAge,
+        uint256 nullifier,
+        address account
+    ) internal view returns (bool) {
+        // Circuit order: [nullifier, Ax, Ay, policy, currentDate, minAge,
+        // blockedCountries[8], account, chainId, verifierAddress, scope].
+        // The circuit constrains every predicate of the policy to hold.
+        uint[18] memory pubSignals;
+        pubSignals[0] = nullifier;
+        pubSignals[1] = issuerPublicKey[0];
+        pubSignals[2] = issuerPublicKey[1];
+        pubSignals[3] = policy;
+        pubSignals[4] = currentDate;
+        pubSignals[5] = policy & PREDICATE_AGE != 0 ? minAge : 0;
+        if (policy & PREDICATE_COUNTRY != 0) {
+            for (uint i = 0; i < MAX_SANCTIONED_COUNTRIES; i++) {
+                pubSignals[6 + i] = sanctionedCountries[i];
+            }
+        }
+        pubSignals[14] = uint256(uint160(account));
+        pubSignals[15] = block.chainid;
+        pubSignals[16] = uint256(uint160(address(this)));
+        pubSignals[17] = scope;
         
-        emit AgeVerified(msg.sender, ageHash, true);
-        return true;
+        uint[2] memory pA = [proof[0], proof[1]];
+        uint[2][2] memory pB = [[proof[2], proof[3]], [proof[4], proof[5]]];
+        uint[2] memory pC = [proof[6], proof[7]];
+        return verifier.verifyProof(pA, pB, pC, pubSignals);
+    }
+    
+    /**
+     * @dev Whether a verification at `verifiedAt` still counts
+     */
+    function _isCurrent(uint256 verifiedAt) internal view returns (bool) {
+        return verifiedAt != 0 && block.timestamp < verifiedAt + VERIFICATION_PERIOD;
     }
     
     /**
      * @dev Check if a user has been verified
      * @param user The address to check
-     * @return Whether the user has been age-verified
+     * @return Whether the user passed AGE_POLICY within VERIFICATION_PERIOD
      */
     function isUserVerified(address user) external view returns (bool) {
-        return verifiedUsers[user];
+        return _isCurrent(ageVerifiedAt[user]);
+    }
+    
+    /**
+     * @dev Check if a user has been screened against the sanctioned countries
+     * @param user The address to check
+     * @return Whether the user passed SANCTIONS_POLICY within VERIFICATION_PERIOD
+     */
+    function sanctionsCleared(address user) external view returns (bool) {
+        return _isCurrent(sanctionsClearedAt[user]);
     }
     
     /**
-     * @dev Get the age hash for a verified user
+     * @dev Check if a user has proved accredited investor status
      * @param user The address to check
-     * @return The age hash of the user (0 if not verified)
+     * @return Whether the user passed ACCREDITED_INVESTOR_POLICY within VERIFICATION_PERIOD
+     */
+    function accreditedInvestors(address user) external view returns (bool) {
+        return _isCurrent(accreditedAt[user]);
+    }
+    
+    /**
+     * @dev Deprecated: credential hashes are no longer stored per user; use
+     * isUserVerified. Reverts so no caller mistakes a result for a hash.
      */
-    function getUserAgeHash(address user) external view returns (uint256) {
-        return userAgeHashes[user];
+    function getUserAgeHash(address) external pure returns (uint256) {
+        revert Deprecated();
     }
     
     /**
      * @dev Check if an issuer is trusted
-     * @param publicKey The public key to check
+     * @param publicKey The public key [Ax, Ay] to check
      * @return Whether the issuer is trusted
      */
-    function isTrustedIssuer(uint256 publicKey) external view returns (bool) {
-        return trustedIssuers[publicKey];
+    function isTrustedIssuer(uint256[2] calldata publicKey) external view returns (bool) {
+        return trustedIssuers[issuerId(publicKey)];
     }
     
     /**
      * @dev Batch verify multiple users (gas efficient for multiple verifications)
-     * @param proofs Array of proof components
-     * @param ageHashes Array of age hashes
-     * @param issuerPublicKeys Array of issuer public keys
-     * @param minAges Array of minimum ages
-     * @param users Array of user addresses
+     * Each proof must be bound to its entry's user, so a relayer can submit
+     * proofs on the users' behalf but not verify other accounts with them.
+     * @param proofs Proofs and public inputs, one per user
      */
     function batchVerifyAgeProofs(
-        uint[8][] calldata proofs,
-        uint256[] calldata ageHashes,
-        uint256[] calldata issuerPublicKeys,
-        uint256[] calldata minAges,
-        address[] calldata users
+        AgeProof[] calldata proofs
     ) external returns (bool[] memory results) {
-        require(
-            proofs.length == ageHashes.length &&
-            ageHashes.length == issuerPublicKeys.length &&
-            issuerPublicKeys.length == minAges.length &&
-            minAges.length == users.length,
-            "Array lengths must match"
-        );
-        
         results = new bool[](proofs.length);
         
         for (uint i = 0; i < proofs.length; i++) {
-            try this.verifySingleProof(
-                proofs[i],
-                ageHashes[i],
-                issuerPublicKeys[i],
-                minAges[i],
-                users[i]
-            ) returns (bool success) {
+            try this.verifySingleProof(proofs[i]) returns (bool success) {
                 results[i] = success;
             } catch {
                 results[i] = false;
@@ -183,34 +415,39 @@ contract KYCVerifier {
     /**
      * @dev Internal function for batch verification
      */
-    function verifySingleProof(
-        uint[8] calldata proof,
-        uint256 ageHash,
-        uint256 issuerPublicKey,
-        uint256 minAge,
-        address user
-    ) external returns (bool) {
+    function verifySingleProof(AgeProof calldata entry) external returns (bool) {
         require(msg.sender == address(this), "Internal function");
         
-        if (!trustedIssuers[issuerPublicKey]) {
+        if (!trustedIssuers[issuerId(entry.issuerPublicKey)]) {
             return false;
         }
         
-        if (minAge < MIN_AGE) {
+        if (entry.minAge < MIN_AGE) {
             return false;
         }
         
-        uint[2] memory pA = [proof[0], proof[1]];
-        uint[2][2] memory pB = [[proof[2], proof[3]], [proof[4], proof[5]]];
-        uint[2] memory pC = [proof[6], proof[7]];
-        uint[4] memory pubSignals = [ageHash, issuerPublicKey, minAge, 1];
+        if (!isCurrentDate(entry.currentDate)) {
+            return false;
+        }
         
-        bool isValid = verifier.verifyProof(pA, pB, pC, pubSignals);
+        if (!_isNullifierFree(entry.nullifier, entry.user)) {
+            return false;
+        }
+        
+        bool isValid = _verifyPolicy(
+            entry.proof,
+            entry.issuerPublicKey,
+            AGE_POLICY,
+            entry.currentDate,
+            entry.minAge,
+            entry.nullifier,
+            entry.user
+        );
         
         if (isValid) {
-            verifiedUsers[user] = true;
-            userAgeHashes[user] = ageHash;
-            emit AgeVerified(user, ageHash, true);
+            usedNullifiers[entry.nullifier] = entry.user;
+            ageVerifiedAt[entry.user] = block.timestamp;
+            emit AgeVerified(entry.user, entry.nullifier, true);
         }
         
         return isValid;
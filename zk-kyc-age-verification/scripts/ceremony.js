@@ -0,0 +1,294 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const snarkjs = require('snarkjs');
+
+/**
+ * Trusted Setup Ceremony Script
+ *
+ * Runs the circuit-specific (phase 2) Groth16 ceremony with several
+ * participants:
+ * 1. The coordinator initializes a phase-2 zkey from the r1cs and ptau
+ * 2. The coordinator exports a contribution package for the next participant
+ * 3. The participant contributes with their own name and entropy
+ * 4. The coordinator verifies the result with `snarkjs zkey verify` and imports it
+ * 5. A public random beacon closes the ceremony
+ *
+ * Every accepted contribution hash is recorded in transcript.json in the
+ * ceremony directory.
+ */
+
+const TRANSCRIPT = 'transcript.json';
+const PACKAGE = 'package.json';
+
+function sha256(file) {
+    return crypto.createHash('sha256').update(fs.readFileSync(file)).digest('hex');
+}
+
+function zkeyName(circuit, index) {
+    return `${circuit}_${String(index).padStart(4, '0')}.zkey`;
+}
+
+function readTranscript(dir) {
+    const file = path.join(dir, TRANSCRIPT);
+    if (!fs.existsSync(file)) {
+        throw new Error(`No ceremony in ${dir}; run init first`);
+    }
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+function writeTranscript(dir, transcript) {
+    fs.writeFileSync(path.join(dir, TRANSCRIPT), JSON.stringify(transcript, null, 2));
+}
+
+function latestZkey(dir, transcript) {
+    const last = transcript.contributions[transcript.contributions.length - 1];
+    return path.join(dir, last ? last.zkey : transcript.initial.zkey);
+}
+
+/**
+ * Run `snarkjs zkey verify` on a zkey and collect the contributions it
+ * reports, oldest first. snarkjs only exposes the contribution hashes it
+ * computes through its logger, so they are read from the log messages.
+ */
+async function verifyZkey({ r1cs, ptau, zkey }) {
+    const messages = [];
+    const errors = [];
+    const logger = {
+        info: (m) => messages.push(m),
+        error: (m) => errors.push(m),
+        warn() {},
+        debug() {}
+    };
+    const valid = await snarkjs.zKey.verifyFromR1cs(r1cs, ptau, zkey, logger);
+
+    const hashOf = (text) => text.split('\n').slice(1).join('').replace(/\s+/g, '');
+    const contributions = [];
+    let circuitHash = null;
+
+    for (const m of messages) {
+        const contribution = /^contribution #(\d+) ?(.*):\n/.exec(m);
+        if (contribution) {
+            contributions.push({ index: Number(contribution[1]), name: contribution[2], hash: hashOf(m) });
+        } else if (m.startsWith('Circuit Hash:')) {
+            circuitHash = hashOf(m);
+        } else if (m.startsWith('Beacon generator: ')) {
+            contributions[contributions.length - 1].beacon = { hash: m.slice('Beacon generator: '.length) };
+        } else if (m.startsWith('Beacon iterations Exp: ')) {
+            contributions[contributions.length - 1].beacon.iterationsExp = Number(m.slice('Beacon iterations Exp: '.length));
+        }
+    }
+
+    contributions.sort((a, b) => a.index - b.index);
+    return { valid, circuitHash, contributions, errors };
+}
+
+/**
+ * Start a ceremony in `dir` from the compiled circuit and a phase-1 ptau
+ */
+async function init({ r1cs, ptau, dir }) {
+    if (fs.existsSync(path.join(dir, TRANSCRIPT))) {
+        throw new Error(`${dir} already holds a ceremony`);
+    }
+    fs.mkdirSync(dir, { recursive: true });
+
+    const circuit = path.basename(r1cs, '.r1cs');
+    const zkey = zkeyName(circuit, 0);
+    await snarkjs.zKey.newZKey(r1cs, ptau, path.join(dir, zkey));
+    const { circuitHash } = await verifyZkey({ r1cs, ptau, zkey: path.join(dir, zkey) });
+
+    const transcript = {
+        circuit,
+        circuitHash,
+        r1cs: { file: path.resolve(r1cs), sha256: sha256(r1cs) },
+        ptau: { file: path.resolve(ptau), sha256: sha256(ptau) },
+        initial: { zkey, sha256: sha256(path.join(dir, zkey)) },
+        contributions: [],
+        final: null
+    };
+    writeTranscript(dir, transcript);
+    return transcript;
+}
+
+/**
+ * Export the latest zkey and the metadata the next participant needs
+ */
+function exportPackage({ dir, out }) {
+    const transcript = readTranscript(dir);
+    if (transcript.final) {
+        throw new Error('Ceremony is finalized');
+    }
+    fs.mkdirSync(out, { recursive: true });
+
+    const index = transcript.contributions.length;
+    const challenge = zkeyName(transcript.circuit, index);
+    fs.copyFileSync(latestZkey(dir, transcript), path.join(out, challenge));
+
+    const pkg = {
+        circuit: transcript.circuit,
+        circuitHash: transcript.circuitHash,
+        challenge,
+        response: zkeyName(transcript.circuit, index + 1),
+        previousContributions: transcript.contributions.map(({ index: i, name, hash }) => ({ index: i, name, hash }))
+    };
+    fs.writeFileSync(path.join(out, PACKAGE), JSON.stringify(pkg, null, 2));
+    return pkg;
+}
+
+/**
+ * Participant side: add one contribution to an exported package.
+ * Entropy defaults to 64 random bytes and is handed to snarkjs in-process,
+ * so it never leaves this machine or shows up in a command line.
+ */
+async function contribute({ packageDir, name, entropy = crypto.randomBytes(64).toString('hex') }) {
+    if (!name) {
+        throw new Error('Contributor name is required');
+    }
+    const pkg = JSON.parse(fs.readFileSync(path.join(packageDir, PACKAGE), 'utf8'));
+    const response = path.join(packageDir, pkg.response);
+    const hash = await snarkjs.zKey.contribute(path.join(packageDir, pkg.challenge), response, name, entropy);
+    return { response, hash: Buffer.from(hash).toString('hex') };
+}
+
+/**
+ * Verify a returned zkey and accept it as the next contribution. It must pass
+ * `snarkjs zkey verify` and carry exactly the accepted contributions plus one.
+ */
+async function importContribution({ dir, zkey }) {
+    const transcript = readTranscript(dir);
+    if (transcript.final) {
+        throw new Error('Ceremony is finalized');
+    }
+
+    const { valid, circuitHash, contributions, errors } = await verifyZkey({
+        r1cs: transcript.r1cs.file,
+        ptau: transcript.ptau.file,
+        zkey
+    });
+    if (!valid) {
+        throw new Error(`Contribution failed zkey verify${errors.length ? `: ${errors.join('; ')}` : ''}`);
+    }
+    if (circuitHash !== transcript.circuitHash) {
+        throw new Error('Contribution is for another circuit');
+    }
+
+    const accepted = transcript.contributions;
+    const extendsLatest = contributions.length === accepted.length + 1
+        && accepted.every((c, i) => contributions[i].hash === c.hash);
+    if (!extendsLatest) {
+        throw new Error(`Contribution does not extend the latest zkey (${accepted.length} accepted contributions)`);
+    }
+    const added = contributions[accepted.length];
+    if (added.beacon) {
+        throw new Error('Beacons are applied with `beacon`, not imported');
+    }
+
+    const file = zkeyName(transcript.circuit, added.index);
+    fs.copyFileSync(zkey, path.join(dir, file));
+    accepted.push({ index: added.index, name: added.name, hash: added.hash, zkey: file, sha256: sha256(path.join(dir, file)) });
+    writeTranscript(dir, transcript);
+    return accepted[accepted.length - 1];
+}
+
+/**
+ * Close the ceremony with a public random beacon (e.g. a future block hash)
+ * and export the verification key next to the final zkey
+ */
+async function applyBeacon({ dir, beacon, iterationsExp = 10, name = 'Final beacon' }) {
+    const transcript = readTranscript(dir);
+    if (transcript.final) {
+        throw new Error('Ceremony is finalized');
+    }
+    if (!transcript.contributions.length) {
+        throw new Error('Ceremony has no contributions');
+    }
+    if (!/^(0x)?[0-9a-fA-F]{64}$/.test(beacon)) {
+        throw new Error('Beacon must be a 32-byte hex value');
+    }
+
+    const file = zkeyName(transcript.circuit, transcript.contributions.length + 1);
+    const out = path.join(dir, file);
+    await snarkjs.zKey.beacon(latestZkey(dir, transcript), out, name, beacon.replace(/^0x/, ''), iterationsExp);
+
+    const { valid, contributions } = await verifyZkey({ r1cs: transcript.r1cs.file, ptau: transcript.ptau.file, zkey: out });
+    if (!valid) {
+        throw new Error('Beacon zkey failed zkey verify');
+    }
+
+    const added = contributions[contributions.length - 1];
+    transcript.contributions.push({
+        index: added.index,
+        name: added.name,
+        hash: added.hash,
+        zkey: file,
+        sha256: sha256(out),
+        beacon: added.beacon
+    });
+
+    const vkey = await snarkjs.zKey.exportVerificationKey(out);
+    fs.writeFileSync(path.join(dir, 'verification_key.json'), JSON.stringify(vkey, null, 2));
+    transcript.final = { zkey: file, sha256: sha256(out), verificationKey: 'verification_key.json' };
+    writeTranscript(dir, transcript);
+    return transcript;
+}
+
+/**
+ * Entropy for a CLI contribution: random bytes, plus CEREMONY_ENTROPY if the
+ * participant set it. Never taken from argv, which other users can read.
+ */
+function contributionEntropy() {
+    return crypto.randomBytes(64).toString('hex') + (process.env.CEREMONY_ENTROPY || '');
+}
+
+const USAGE = `Usage: node scripts/ceremony.js <command>
+
+  init <r1cs> <ptau> <dir>                  Start a ceremony in dir
+  export <dir> <out>                        Write the next contribution package to out
+  contribute <package> <name>               Contribute to a package (participant);
+                                            extra entropy is read from CEREMONY_ENTROPY
+  import <dir> <zkey>                       Verify and accept a contributed zkey
+  beacon <dir> <hex> [iterationsExp]        Apply the final beacon
+  verify <r1cs> <ptau> <zkey>               Run zkey verify and list contributions`;
+
+async function main([command, ...args]) {
+    if (command === 'init' && args.length === 3) {
+        const transcript = await init({ r1cs: args[0], ptau: args[1], dir: args[2] });
+        console.log(`✅ Ceremony for ${transcript.circuit} started in ${args[2]}`);
+    } else if (command === 'export' && args.length === 2) {
+        const pkg = exportPackage({ dir: args[0], out: args[1] });
+        console.log(`📦 Package for contribution #${pkg.previousContributions.length + 1} written to ${args[1]}`);
+    } else if (command === 'contribute' && args.length === 2) {
+        const { response, hash } = await contribute({ packageDir: args[0], name: args[1], entropy: contributionEntropy() });
+        console.log(`✅ Contribution written to ${response}. Publish your hash:\n${hash}`);
+    } else if (command === 'import' && args.length === 2) {
+        const c = await importContribution({ dir: args[0], zkey: args[1] });
+        console.log(`✅ Accepted contribution #${c.index} from ${c.name}: ${c.hash}`);
+    } else if (command === 'beacon' && (args.length === 2 || args.length === 3)) {
+        const transcript = await applyBeacon({ dir: args[0], beacon: args[1], iterationsExp: args[2] ? Number(args[2]) : undefined });
+        console.log(`🎉 Ceremony finalized: ${path.join(args[0], transcript.final.zkey)}`);
+    } else if (command === 'verify' && args.length === 3) {
+        const { valid, contributions } = await verifyZkey({ r1cs: args[0], ptau: args[1], zkey: args[2] });
+        for (const c of contributions) console.log(`#${c.index} ${c.name}: ${c.hash}`);
+        if (!valid) throw new Error('zkey verify failed');
+        console.log('✅ ZKey OK');
+    } else {
+        throw new Error(USAGE);
+    }
+}
+
+if (require.main === module) {
+    // snarkjs keeps its curve worker threads alive, so exit explicitly
+    main(process.argv.slice(2)).then(() => process.exit(0), (error) => {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+    });
+}
+
+module.exports = {
+    verifyZkey,
+    init,
+    exportPackage,
+    contribute,
+    importContribution,
+    applyBeacon
+};
@@ -1,7 +1,13 @@
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
 const { exec } = require('child_process');
 const util = require('util');
+const snarkjs = require('snarkjs');
+const { verifyZkey } = require('./ceremony');
+const { MANIFEST_FILE, writeManifest } = require('./manifest');
+const { requiredPower, ensurePowersOfTau } = require('./ptau');
+const { KYCProofGenerator, PREDICATES, demoAttributes } = require('./generate-proof');
 
 const execAsync = util.promisify(exec);
 
@@ -10,10 +16,16 @@ const execAsync = util.promisify(exec);
  * 
  * This script:
  * 1. Compiles the Circom circuit
- * 2. Generates the witness calculator
- * 3. Performs the trusted setup (powers of tau + circuit-specific setup)
+ * 2. Generates the witness calculator and a witness for a sample credential
+ * 3. Performs the trusted setup (powers of tau + circuit-specific setup).
+ *    The ptau comes from --ptau, build/ or a download (skipped with
+ *    --offline or when CI is set, unless --download), and otherwise falls
+ *    back to a generated development ptau (see scripts/ptau.js).
  * 4. Generates the Solidity verifier contract
  * 5. Exports the verification key
+ * 6. Records hashes and tool versions in build/manifest.json
+ * 7. Proves and verifies the sample credential, reporting constraint
+ *    counts and timings
  */
 
 const CIRCUIT_NAME = 'kyc';
@@ -21,6 +33,12 @@ const CIRCUIT_PATH = './circuits/kyc.circom';
 const BUILD_DIR = './build';
 const CONTRACTS_DIR = './contracts';
 
+// Credential and policy used for the build's smoke test, checking every predicate
+const SAMPLE_AGE = 25;
+const SAMPLE_MIN_AGE = 18;
+const SAMPLE_BLOCKED_COUNTRIES = [408, 364]; // North Korea, Iran
+const SAMPLE_POLICY = PREDICATES.AGE | PREDICATES.COUNTRY | PREDICATES.ACCREDITED | PREDICATES.EXPIRY;
+
 async function ensureDirectoryExists(dir) {
     if (!fs.existsSync(dir)) {
         fs.mkdirSync(dir, { recursive: true });
@@ -28,6 +46,16 @@ async function ensureDirectoryExists(dir) {
     }
 }
 
+/**
+ * Run `fn`, recording its duration in ms under `label`
+ */
+async function timed(timings, label, fn) {
+    const start = process.hrtime.bigint();
+    const result = await fn();
+    timings[label] = Number(process.hrtime.bigint() - start) / 1e6;
+    return result;
+}
+
 async function runCommand(command, description) {
     console.log(`\n🔄 ${description}...`);
     console.log(`Command: ${command}`);
@@ -43,27 +71,28 @@ async function runCommand(command, description) {
     }
 }
 
-async function downloadPowersOfTau() {
-    const tauFile = path.join(BUILD_DIR, 'powersOfTau28_hez_final_10.ptau');
-    
-    if (fs.existsSync(tauFile)) {
-        console.log('✅ Powers of tau file already exists');
-        return;
+/**
+ * Size the ceremony from the compiled r1cs and find or create a ptau for it.
+ * See scripts/ptau.js for the order in which sources are tried.
+ */
+async function preparePowersOfTau({ source, download }) {
+    const r1csFile = path.join(BUILD_DIR, `${CIRCUIT_NAME}.r1cs`);
+    const info = await snarkjs.r1cs.info(r1csFile);
+    const power = requiredPower(info);
+    console.log(`\n📏 ${info.nConstraints} constraints, needs powers of tau 2^${power}`);
+
+    const ptau = await ensurePowersOfTau({ buildDir: BUILD_DIR, power, source, download });
+    if (!ptau.production) {
+        console.log(`⚠️  ${ptau.file} is a development ptau. The keys built from it are NOT for production.`);
     }
-    
-    console.log('📥 Downloading powers of tau file (this may take a while)...');
-    
-    // For circuits with < 2^10 constraints, we can use the smaller ceremony file
-    const downloadCommand = `curl -L -o ${tauFile} https://hermez.s3-eu-west-1.amazonaws.com/powersOfTau28_hez_final_10.ptau`;
-    
-    await runCommand(downloadCommand, 'Download powers of tau');
+    return ptau;
 }
 
 async function compileCircuit() {
     const outputDir = path.join(BUILD_DIR, CIRCUIT_NAME);
     
     await runCommand(
-        `circom ${CIRCUIT_PATH} --r1cs --wasm --sym -o ${BUILD_DIR}`,
+        `circom ${CIRCUIT_PATH} --r1cs --wasm --sym -l node_modules -o ${BUILD_DIR}`,
         'Compile circuit'
     );
     
@@ -83,54 +112,71 @@ async function compileCircuit() {
     console.log('✅ Circuit compilation verified');
 }
 
+/**
+ * Build a consistent sample credential with the proof generator's code and
+ * compute its witness, so a mismatch with the circuit shows up before the
+ * trusted setup
+ */
 async function generateWitness() {
-    // Create a sample input for testing witness generation
-    const sampleInput = {
-        age: 25,
-        signature: "12345678901234567890123456789012345678901234567890123456789012345", // Mock signature
-        issuerPrivateKey: "11111111111111111111111111111111111111111111111111111111111111111", // Mock private key
-        ageHash: "0", // Will be calculated
-        issuerPublicKey: "0", // Will be calculated
-        minAge: 18
-    };
-    
-    // Calculate the expected hashes using circomlibjs (mock values for now)
-    // In a real implementation, these would be calculated properly
-    sampleInput.ageHash = "123456789012345678901234567890123456789012345678901234567890123456";
-    sampleInput.issuerPublicKey = "987654321098765432109876543210987654321098765432109876543210987654";
+    const generator = new KYCProofGenerator();
+    const sampleInput = await generator.generateCircuitInputs(
+        { ...demoAttributes(SAMPLE_AGE), accredited: 1 },
+        { policy: SAMPLE_POLICY, minAge: SAMPLE_MIN_AGE, blockedCountries: SAMPLE_BLOCKED_COUNTRIES }
+    );
     
     const inputFile = path.join(BUILD_DIR, 'input.json');
     fs.writeFileSync(inputFile, JSON.stringify(sampleInput, null, 2));
-    
     console.log('📝 Sample input file created for witness generation');
     
-    // Generate witness using snarkjs
-    await runCommand(
-        `cd ${BUILD_DIR}/${CIRCUIT_NAME}_js && node generate_witness.js ${CIRCUIT_NAME}.wasm ../input.json ../witness.wtns`,
-        'Generate witness'
-    );
+    const r1csFile = path.join(BUILD_DIR, `${CIRCUIT_NAME}.r1cs`);
+    const wasmFile = path.join(BUILD_DIR, `${CIRCUIT_NAME}_js`, `${CIRCUIT_NAME}.wasm`);
+    const witnessFile = path.join(BUILD_DIR, 'witness.wtns');
+    
+    console.log('\n🔄 Generate witness...');
+    await snarkjs.wtns.calculate(sampleInput, wasmFile, witnessFile);
+    if (!(await snarkjs.wtns.check(r1csFile, witnessFile))) {
+        throw new Error('Sample witness does not satisfy the circuit constraints');
+    }
+    console.log('✅ Generate witness completed successfully');
+    
+    return sampleInput;
 }
 
-async function trustedSetup() {
+/**
+ * Circuit-specific setup. With `ceremonyZkey` (the final zkey of a
+ * scripts/ceremony.js run) the key is verified against the circuit and used
+ * as is; otherwise a single development contribution is made, which must not
+ * be used in production.
+ */
+async function trustedSetup(ceremonyZkey, tauFile) {
     const r1csFile = path.join(BUILD_DIR, `${CIRCUIT_NAME}.r1cs`);
-    const tauFile = path.join(BUILD_DIR, 'powersOfTau28_hez_final_10.ptau');
     const zkeyFile = path.join(BUILD_DIR, `${CIRCUIT_NAME}.zkey`);
-    
-    // Phase 1: Setup with powers of tau
-    await runCommand(
-        `snarkjs groth16 setup ${r1csFile} ${tauFile} ${zkeyFile}`,
-        'Groth16 trusted setup'
-    );
-    
-    // For production, you would do a ceremony here with multiple contributors
-    // For development, we'll use a simple contribution
     const finalZkeyFile = path.join(BUILD_DIR, `${CIRCUIT_NAME}_final.zkey`);
-    
-    await runCommand(
-        `snarkjs zkey contribute ${zkeyFile} ${finalZkeyFile} --name="First contribution" -v`,
-        'Add contribution to trusted setup'
-    );
-    
+
+    if (ceremonyZkey) {
+        console.log(`\n🔄 Verifying ceremony zkey ${ceremonyZkey}...`);
+        const { valid, contributions } = await verifyZkey({ r1cs: r1csFile, ptau: tauFile, zkey: ceremonyZkey });
+        if (!valid) {
+            throw new Error(`${ceremonyZkey} does not match this circuit and powers of tau`);
+        }
+        if (!contributions.length) {
+            throw new Error(`${ceremonyZkey} has no contributions`);
+        }
+        fs.copyFileSync(ceremonyZkey, finalZkeyFile);
+        console.log(`✅ Using ceremony zkey with ${contributions.length} contributions`);
+    } else {
+        // Phase 1: Setup with powers of tau
+        await runCommand(
+            `snarkjs groth16 setup ${r1csFile} ${tauFile} ${zkeyFile}`,
+            'Groth16 trusted setup'
+        );
+
+        console.log('⚠️  Single development contribution. Run scripts/ceremony.js and pass --zkey for production.');
+        // Through the API, so the entropy never appears in a command line
+        await snarkjs.zKey.contribute(zkeyFile, finalZkeyFile, 'Development contribution', crypto.randomBytes(32).toString('hex'));
+        console.log('✅ Add development contribution to trusted setup completed successfully');
+    }
+
     // Export verification key
     const vkeyFile = path.join(BUILD_DIR, 'verification_key.json');
     await runCommand(
@@ -148,31 +194,72 @@ async function generateSolidityVerifier() {
         'Generate Solidity verifier'
     );
     
+    // snarkjs names the contract Groth16Verifier; the deploy script and tests
+    // expect Verifier
+    const source = fs.readFileSync(verifierFile, 'utf8').replace(/contract Groth16Verifier\b/, 'contract Verifier');
+    fs.writeFileSync(verifierFile, source);
+    
     console.log(`✅ Verifier contract generated at ${verifierFile}`);
 }
 
-async function generateProofTest() {
+/**
+ * Record the hashes of everything generated so far. The proof generator and
+ * deploy script refuse artifacts that no longer match.
+ */
+async function writeBuildManifest(ptau) {
+    const r1csFile = path.join(BUILD_DIR, `${CIRCUIT_NAME}.r1cs`);
+    const { nConstraints } = await snarkjs.r1cs.info(r1csFile);
+
+    const manifest = await writeManifest({ ptau: ptau.file, production: ptau.production, constraints: nConstraints });
+    console.log(`✅ Build manifest written to ${MANIFEST_FILE} (${manifest.tools.circom}, snarkjs ${manifest.tools.snarkjs})`);
+}
+
+/**
+ * Prove the sample witness with the final zkey and verify it with the
+ * exported verification key. Resolves to the prove and verify times in ms.
+ */
+async function generateProofTest(sampleInput) {
     console.log('\n🧪 Testing proof generation...');
     
     const witnessFile = path.join(BUILD_DIR, 'witness.wtns');
     const finalZkeyFile = path.join(BUILD_DIR, `${CIRCUIT_NAME}_final.zkey`);
-    const proofFile = path.join(BUILD_DIR, 'proof.json');
-    const publicFile = path.join(BUILD_DIR, 'public.json');
+    const vkeyFile = path.join(BUILD_DIR, 'verification_key.json');
     
-    await runCommand(
-        `snarkjs groth16 prove ${finalZkeyFile} ${witnessFile} ${proofFile} ${publicFile}`,
-        'Generate test proof'
-    );
+    const timings = {};
+    const { proof, publicSignals } = await timed(timings, 'prove', () => snarkjs.groth16.prove(finalZkeyFile, witnessFile));
+    fs.writeFileSync(path.join(BUILD_DIR, 'proof.json'), JSON.stringify(proof, null, 2));
+    fs.writeFileSync(path.join(BUILD_DIR, 'public.json'), JSON.stringify(publicSignals, null, 2));
+    console.log('✅ Generate test proof completed successfully');
     
-    // Verify the proof
-    const vkeyFile = path.join(BUILD_DIR, 'verification_key.json');
-    await runCommand(
-        `snarkjs groth16 verify ${vkeyFile} ${publicFile} ${proofFile}`,
-        'Verify test proof'
-    );
+    // Public signals are [nullifier, issuerAx, issuerAy, policy, currentDate, minAge,
+    // blockedCountries, account, chainId, verifierAddress, scope]
+    const expected = [
+        await new KYCProofGenerator().calculateNullifier(sampleInput),
+        ...sampleInput.issuerPublicKey,
+        sampleInput.policy,
+        sampleInput.currentDate,
+        sampleInput.minAge,
+        ...sampleInput.blockedCountries,
+        sampleInput.account,
+        sampleInput.chainId,
+        sampleInput.verifierAddress,
+        sampleInput.scope
+    ];
+    if (publicSignals.join() !== expected.join()) {
+        throw new Error(`Unexpected public signals [${publicSignals.join(', ')}]`);
+    }
+    
+    const vKey = JSON.parse(fs.readFileSync(vkeyFile));
+    const valid = await timed(timings, 'verify', () => snarkjs.groth16.verify(vKey, publicSignals, proof));
+    if (!valid) {
+        throw new Error('Test proof does not verify');
+    }
+    console.log('✅ Verify test proof completed successfully');
+    
+    return timings;
 }
 
-async function printSummary() {
+async function printSummary(ptau, { info, timings }) {
     console.log('\n' + '='.repeat(60));
     console.log('🎉 CIRCUIT COMPILATION COMPLETE!');
     console.log('='.repeat(60));
@@ -183,9 +270,32 @@ async function printSummary() {
     console.log(`  ├── ${CIRCUIT_NAME}_js/ (WASM witness generator)`);
     console.log(`  ├── ${CIRCUIT_NAME}_final.zkey (Proving key)`);
     console.log(`  ├── verification_key.json (Verification key)`);
+    console.log(`  ├── manifest.json (Artifact hashes and tool versions)`);
     console.log(`  ├── proof.json (Sample proof)`);
     console.log(`  └── public.json (Sample public inputs)`);
     console.log(`\n📄 Smart contract: ${CONTRACTS_DIR}/Verifier.sol`);
+    console.log(`🔑 Powers of tau: ${ptau.file} (2^${ptau.power})`);
+    
+    console.log('\n📊 Circuit:');
+    console.log(`  Constraints:     ${info.nConstraints}`);
+    console.log(`  Wires:           ${info.nVars}`);
+    console.log(`  Private inputs:  ${info.nPrvInputs}`);
+    console.log(`  Public inputs:   ${info.nPubInputs}`);
+    console.log(`  Outputs:         ${info.nOutputs}`);
+    
+    console.log('\n⏱️  Timings:');
+    for (const [step, ms] of Object.entries(timings)) {
+        console.log(`  ${step.padEnd(24)} ${(ms / 1000).toFixed(2)}s`);
+    }
+    
+    if (!ptau.production) {
+        console.log('\n' + '!'.repeat(60));
+        console.log('⚠️  DEVELOPMENT BUILD - NOT FOR PRODUCTION');
+        console.log('   The powers of tau was generated on this machine, so anyone');
+        console.log('   with access to it could forge proofs. Pass --ptau with a');
+        console.log('   known Hermez ptau file or directory for real deployments.');
+        console.log('!'.repeat(60));
+    }
     
     console.log('\nNext steps:');
     console.log('1. Run: npm run deploy (to deploy contracts)');
@@ -194,6 +304,18 @@ async function printSummary() {
 }
 
 async function main() {
+    const { values } = util.parseArgs({
+        options: {
+            zkey: { type: 'string' },
+            ptau: { type: 'string', default: process.env.PTAU },
+            offline: { type: 'boolean', default: false },
+            download: { type: 'boolean', default: false }
+        }
+    });
+
+    // CI builds stay off the network unless --download asks for the Hermez ptau
+    const download = values.download || (!values.offline && !process.env.CI);
+
     try {
         console.log('🚀 Starting circuit compilation process...\n');
         
@@ -201,26 +323,34 @@ async function main() {
         await ensureDirectoryExists(BUILD_DIR);
         await ensureDirectoryExists(CONTRACTS_DIR);
         
-        // Download powers of tau ceremony file
-        await downloadPowersOfTau();
+        const timings = {};
         
         // Compile the circuit
-        await compileCircuit();
+        await timed(timings, 'Compile circuit', compileCircuit);
+        const info = await snarkjs.r1cs.info(path.join(BUILD_DIR, `${CIRCUIT_NAME}.r1cs`));
         
-        // Generate witness (for testing)
-        await generateWitness();
+        // Find a powers of tau file large enough for the circuit
+        const ptau = await timed(timings, 'Powers of tau', () => preparePowersOfTau({ source: values.ptau, download }));
+        
+        // Generate witness for a sample credential
+        const sampleInput = await timed(timings, 'Witness', generateWitness);
         
         // Perform trusted setup
-        await trustedSetup();
+        await timed(timings, 'Trusted setup', () => trustedSetup(values.zkey, ptau.file));
         
         // Generate Solidity verifier
-        await generateSolidityVerifier();
+        await timed(timings, 'Solidity verifier', generateSolidityVerifier);
+        
+        // Record artifact hashes
+        await writeBuildManifest(ptau);
         
-        // Test proof generation
-        await generateProofTest();
+        // Prove and verify the sample credential
+        const proofTimings = await generateProofTest(sampleInput);
+        timings['Prove (sample)'] = proofTimings.prove;
+        timings['Verify (sample)'] = proofTimings.verify;
         
         // Print summary
-        await printSummary();
+        await printSummary(ptau, { info, timings });
         
     } catch (error) {
         console.error('\n❌ Compilation failed:', error.message);
@@ -237,6 +367,11 @@ async function checkDependencies() {
             await execAsync(`${dep} --version`);
             console.log(`✅ ${dep} is installed`);
         } catch (error) {
+            // snarkjs prints its version but exits with status 99
+            if (error.code !== 127) {
+                console.log(`✅ ${dep} is installed`);
+                continue;
+            }
             console.error(`❌ ${dep} is not installed. Please install it first.`);
             console.error(`   npm install -g ${dep}`);
             process.exit(1);
@@ -245,11 +380,16 @@ async function checkDependencies() {
 }
 
 if (require.main === module) {
-    checkDependencies().then(() => main());
+    // snarkjs keeps its curve worker threads alive, so exit explicitly
+    checkDependencies().then(() => main()).then(() => process.exit(0));
 }
 
 module.exports = {
     compileCircuit,
+    preparePowersOfTau,
+    generateWitness,
     trustedSetup,
-    generateSolidityVerifier
+    generateSolidityVerifier,
+    generateProofTest,
+    writeBuildManifest
 };
@@ -1,19 +1,28 @@
-const { ethers } = require('hardhat');
+const hre = require('hardhat');
+const { ethers } = hre;
 const fs = require('fs');
 const path = require('path');
+const circomlibjs = require('circomlibjs');
+const { assertManifest } = require('./manifest');
+const { KYCProofGenerator, DEFAULT_SCOPE } = require('./generate-proof');
 
 /**
  * Deployment Script for KYC Age Verification System
  * 
  * This script:
- * 1. Deploys the Groth16 Verifier contract (generated from circuit)
- * 2. Deploys the KYCVerifier contract
+ * 1. Deploys the Groth16 Verifier contract (generated from circuit), after
+ *    checking it and the circuit artifacts against build/manifest.json
+ * 2. Deploys the KYCVerifier contract for the KYC_SCOPE nullifier scope
  * 3. Sets up trusted issuers
  * 4. Saves deployment addresses and ABI for frontend integration
  */
 
 const BUILD_DIR = './build';
 const DEPLOYMENTS_DIR = './deployments';
+const DEMO_ISSUER_KEY_FILE = path.join(BUILD_DIR, 'demo_issuer.key');
+
+// Networks where a generated demo issuer may be trusted
+const DEV_NETWORKS = ['hardhat', 'localhost'];
 
 async function ensureDirectoryExists(dir) {
     if (!fs.existsSync(dir)) {
@@ -44,21 +53,22 @@ async function deployVerifier() {
     }
 }
 
-async function deployKYCVerifier(verifierAddress) {
+async function deployKYCVerifier(verifierAddress, scope = process.env.KYC_SCOPE || DEFAULT_SCOPE) {
     console.log('\n🚀 Deploying KYCVerifier contract...');
     
     try {
         // Get the KYCVerifier contract factory
         const KYCVerifier = await ethers.getContractFactory('KYCVerifier');
         
-        // Deploy with verifier address
-        const kycVerifier = await KYCVerifier.deploy(verifierAddress);
+        // Deploy with verifier address and the app scope of its nullifiers
+        const kycVerifier = await KYCVerifier.deploy(verifierAddress, scope);
         await kycVerifier.waitForDeployment();
         
         const kycVerifierAddress = await kycVerifier.getAddress();
         console.log(`✅ KYCVerifier deployed to: ${kycVerifierAddress}`);
+        console.log(`🔖 Nullifier scope: ${scope}`);
         
-        return { kycVerifier, address: kycVerifierAddress };
+        return { kycVerifier, address: kycVerifierAddress, scope: scope.toString() };
         
     } catch (error) {
         console.error('❌ Failed to deploy KYCVerifier:', error.message);
@@ -66,29 +76,69 @@ async function deployKYCVerifier(verifierAddress) {
     }
 }
 
-async function setupTrustedIssuers(kycVerifier) {
+/**
+ * Parse ISSUER_PUBLIC_KEY ("Ax,Ay", decimal or 0x hex) into a BabyJubJub point
+ */
+async function parseIssuerPublicKey(value) {
+    const coordinates = value.split(',').map((c) => c.trim());
+    const babyJub = await circomlibjs.buildBabyjub();
+    let point;
+    try {
+        point = coordinates.map((c) => BigInt(c));
+    } catch {
+        point = null;
+    }
+    if (!point || point.length !== 2 || !babyJub.inCurve(point.map((c) => babyJub.F.e(c)))) {
+        throw new Error('ISSUER_PUBLIC_KEY must be "Ax,Ay", a BabyJubJub public key');
+    }
+    return point.map(String);
+}
+
+/**
+ * Public key of the issuer to trust on `networkName`. Other networks than
+ * hardhat and localhost need ISSUER_PUBLIC_KEY, the EdDSA key of the KYC
+ * provider. Local networks may instead trust the key of ISSUER_PRIVATE_KEY,
+ * or a generated demo issuer whose private key is written to
+ * build/demo_issuer.key for `npm run generate-proof`. Private keys are never
+ * printed.
+ */
+async function resolveIssuerPublicKey(networkName, env = process.env, keyFile = DEMO_ISSUER_KEY_FILE) {
+    if (env.ISSUER_PUBLIC_KEY) {
+        return parseIssuerPublicKey(env.ISSUER_PUBLIC_KEY);
+    }
+    if (!DEV_NETWORKS.includes(networkName)) {
+        throw new Error(`ISSUER_PUBLIC_KEY is required to deploy to ${networkName}`);
+    }
+    
+    const generator = new KYCProofGenerator({ issuerPrivateKey: env.ISSUER_PRIVATE_KEY });
+    const issuer = await generator.generateIssuerCredentials();
+    if (!env.ISSUER_PRIVATE_KEY) {
+        fs.mkdirSync(path.dirname(keyFile), { recursive: true });
+        fs.writeFileSync(keyFile, issuer.privateKey.toString('hex'), { mode: 0o600 });
+        console.log(`⚠️  ISSUER_PRIVATE_KEY not set, trusting a demo issuer whose key is in ${keyFile}`);
+        console.log(`   Sign credentials with it: ISSUER_PRIVATE_KEY=$(cat ${keyFile}) npm run generate-proof`);
+    }
+    return issuer.publicKey;
+}
+
+async function setupTrustedIssuers(kycVerifier, networkName = hre.network.name) {
     console.log('\n🔑 Setting up trusted issuers...');
     
     try {
-        // Read the verification key to get the mock issuer public key
-        const vkeyPath = path.join(BUILD_DIR, 'verification_key.json');
-        
-        // For demo purposes, we'll add a mock trusted issuer
-        // In production, this would be the actual public key of KYC providers
-        const mockIssuerPublicKey = "987654321098765432109876543210987654321098765432109876543210987654";
+        const issuerPublicKey = await resolveIssuerPublicKey(networkName);
         
-        console.log(`📋 Adding trusted issuer with public key: ${mockIssuerPublicKey}`);
+        console.log(`📋 Adding trusted issuer with public key: (${issuerPublicKey.join(', ')})`);
         
-        const tx = await kycVerifier.addTrustedIssuer(mockIssuerPublicKey);
+        const tx = await kycVerifier.addTrustedIssuer(issuerPublicKey);
         await tx.wait();
         
         console.log('✅ Trusted issuer added successfully');
         
         // Verify the issuer was added
-        const isTrusted = await kycVerifier.isTrustedIssuer(mockIssuerPublicKey);
+        const isTrusted = await kycVerifier.isTrustedIssuer(issuerPublicKey);
         console.log(`🔍 Issuer trust status verified: ${isTrusted}`);
         
-        return mockIssuerPublicKey;
+        return issuerPublicKey;
         
     } catch (error) {
         console.error('❌ Failed to setup trusted issuers:', error.message);
@@ -96,6 +146,27 @@ async function setupTrustedIssuers(kycVerifier) {
     }
 }
 
+async function setupSanctionedCountries(kycVerifier) {
+    // ISO 3166-1 numeric codes, e.g. SANCTIONED_COUNTRIES=408,364
+    const countries = (process.env.SANCTIONED_COUNTRIES || '')
+        .split(',')
+        .map((c) => c.trim())
+        .filter(Boolean)
+        .map(Number);
+    
+    if (countries.length === 0) {
+        console.log('\n⚠️  SANCTIONED_COUNTRIES not set, the sanctions policies block no country');
+        return [];
+    }
+    
+    console.log(`\n🚫 Setting sanctioned countries: ${countries.join(', ')}`);
+    const tx = await kycVerifier.setSanctionedCountries(countries);
+    await tx.wait();
+    console.log('✅ Sanctioned countries set');
+    
+    return countries;
+}
+
 async function saveDeploymentInfo(deployments, network) {
     console.log('\n💾 Saving deployment information...');
     
@@ -118,7 +189,9 @@ async function saveDeploymentInfo(deployments, network) {
             },
             trustedIssuers: deployments.trustedIssuers || [],
             configuration: {
-                minAge: 18
+                minAge: 18,
+                scope: deployments.kycVerifier.scope,
+                sanctionedCountries: deployments.sanctionedCountries || []
             }
         };
         
@@ -260,6 +333,13 @@ async function main() {
             );
         }
         
+        // Only deploy a verifier that belongs to the current build
+        const manifest = await assertManifest();
+        console.log(`✅ Verifier matches build manifest (${manifest.createdAt})`);
+        if (!manifest.ptau.production) {
+            console.log(`⚠️  Built with development ptau ${manifest.ptau.file}. NOT FOR PRODUCTION.`);
+        }
+        
         // Deploy contracts
         const verifierDeployment = await deployVerifier();
         const kycVerifierDeployment = await deployKYCVerifier(verifierDeployment.address);
@@ -267,11 +347,15 @@ async function main() {
         // Setup trusted issuers
         const trustedIssuer = await setupTrustedIssuers(kycVerifierDeployment.kycVerifier);
         
+        // Setup the sanctions list
+        const sanctionedCountries = await setupSanctionedCountries(kycVerifierDeployment.kycVerifier);
+        
         // Prepare deployment data
         const deployments = {
             verifier: verifierDeployment,
             kycVerifier: kycVerifierDeployment,
-            trustedIssuers: [trustedIssuer]
+            trustedIssuers: [trustedIssuer],
+            sanctionedCountries
         };
         
         // Save deployment information
@@ -286,7 +370,7 @@ async function main() {
     } catch (error) {
         console.error('\n❌ Deployment failed:', error.message);
         
-        if (error.message.includes('Verifier.sol not found')) {
+        if (error.message.includes('Verifier.sol not found') || error.message.includes('manifest.json')) {
             console.log('\n💡 Solution: Run the following command first:');
             console.log('   npm run compile-circuit');
         }
@@ -308,5 +392,7 @@ if (require.main === module) {
 module.exports = {
     deployVerifier,
     deployKYCVerifier,
-    setupTrustedIssuers
+    resolveIssuerPublicKey,
+    setupTrustedIssuers,
+    setupSanctionedCountries
 };
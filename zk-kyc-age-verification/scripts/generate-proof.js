@@ -1,12 +1,14 @@
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
 const snarkjs = require('snarkjs');
 const circomlibjs = require('circomlibjs');
+const { assertManifest } = require('./manifest');
 
 /**
  * Generate Proof Script
  * 
- * This script generates a zero-knowledge proof for age verification.
+ * This script generates a zero-knowledge proof for a KYC credential.
  * It demonstrates how to:
  * 1. Create proper inputs for the circuit
  * 2. Generate a zk-SNARK proof
@@ -17,12 +19,80 @@ const circomlibjs = require('circomlibjs');
 const CIRCUIT_NAME = 'kyc';
 const BUILD_DIR = './build';
 
+/**
+ * Encode a date as the YYYYMMDD integer the circuit uses (UTC)
+ * @param {Date|number} [when] Date or millisecond timestamp, default now
+ */
+function toDate(when = new Date()) {
+    const date = new Date(when);
+    return date.getUTCFullYear() * 10000 + (date.getUTCMonth() + 1) * 100 + date.getUTCDate();
+}
+
+/**
+ * Date of birth (YYYYMMDD) of someone who turns `age` on `when`
+ */
+function dateOfBirthForAge(age, when = new Date()) {
+    const date = new Date(when);
+    return toDate(Date.UTC(date.getUTCFullYear() - age, date.getUTCMonth(), date.getUTCDate()));
+}
+
+// Predicates of the circuit's policy bitmask (see circuits/kyc.circom)
+const PREDICATES = {
+    AGE: 1,
+    COUNTRY: 2,
+    ACCREDITED: 4,
+    EXPIRY: 8
+};
+
+// Policies KYCVerifier checks, one verify function each
+const POLICIES = {
+    AGE: PREDICATES.AGE | PREDICATES.EXPIRY,
+    SANCTIONS: PREDICATES.COUNTRY | PREDICATES.EXPIRY,
+    ACCREDITED_INVESTOR: PREDICATES.ACCREDITED | PREDICATES.COUNTRY | PREDICATES.EXPIRY
+};
+
+// Size of the circuit's blockedCountries
+const MAX_BLOCKED_COUNTRIES = 8;
+
+// Defaults for the submission a proof is bound to: the hardhat chain and the
+// scope the deploy script uses. Demo proofs use the zero address.
+const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000';
+const DEFAULT_CHAIN_ID = 1337;
+const DEFAULT_SCOPE = 1;
+
+/**
+ * A fresh holder secret: a random field element the holder never shares
+ */
+function randomHolderSecret() {
+    return BigInt('0x' + crypto.randomBytes(31).toString('hex')).toString();
+}
+
+/**
+ * Attributes of a demo credential for a holder who turns `age` on `when`,
+ * resident in the US (ISO 3166-1 numeric 840) and valid for a year
+ */
+function demoAttributes(age, when = new Date()) {
+    const date = new Date(when);
+    return {
+        dateOfBirth: dateOfBirthForAge(age, date),
+        country: 840,
+        accredited: 0,
+        expiry: toDate(Date.UTC(date.getUTCFullYear() + 1, date.getUTCMonth(), date.getUTCDate()))
+    };
+}
+
 class KYCProofGenerator {
-    constructor() {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.issuerPrivateKey] 32-byte hex EdDSA key of the
+     *   demo issuer; defaults to ISSUER_PRIVATE_KEY, or a random key
+     */
+    constructor({ issuerPrivateKey = process.env.ISSUER_PRIVATE_KEY } = {}) {
         this.buildDir = BUILD_DIR;
         this.circuitWasm = path.join(this.buildDir, `${CIRCUIT_NAME}_js`, `${CIRCUIT_NAME}.wasm`);
         this.circuitZkey = path.join(this.buildDir, `${CIRCUIT_NAME}_final.zkey`);
         this.verificationKey = path.join(this.buildDir, 'verification_key.json');
+        this.issuerPrivateKey = issuerPrivateKey;
     }
     
     /**
@@ -34,80 +104,176 @@ class KYCProofGenerator {
         return poseidon.F.toString(hash);
     }
     
+    async getEddsa() {
+        if (!this.eddsa) {
+            this.eddsa = await circomlibjs.buildEddsa();
+        }
+        return this.eddsa;
+    }
+    
     /**
-     * Generate mock issuer credentials
-     * In production, this would be done by a trusted KYC provider
+     * Generate issuer credentials: a BabyJubJub EdDSA keypair
+     * In production, this would be done by a trusted KYC provider, which
+     * keeps the private key and only publishes the public key (Ax, Ay).
+     * Every credential from one generator is signed by the same issuer.
      */
     async generateIssuerCredentials() {
-        // Mock private key for the issuer (in production, this would be securely stored)
-        const issuerPrivateKey = "12345678901234567890123456789012345678901234567890123456789012345";
-        
-        // Calculate public key as Poseidon(privateKey) - simplified for demo
-        const issuerPublicKey = await this.calculatePoseidonHash([issuerPrivateKey]);
-        
-        return {
-            privateKey: issuerPrivateKey,
-            publicKey: issuerPublicKey
-        };
+        if (!this.issuer) {
+            const eddsa = await this.getEddsa();
+            const privateKey = this.issuerPrivateKey
+                ? Buffer.from(this.issuerPrivateKey.replace(/^0x/, ''), 'hex')
+                : crypto.randomBytes(32);
+            if (privateKey.length !== 32) {
+                throw new Error('Issuer private key must be 32 bytes of hex');
+            }
+            
+            const [Ax, Ay] = eddsa.prv2pub(privateKey);
+            this.issuer = {
+                privateKey,
+                publicKey: [eddsa.F.toString(Ax), eddsa.F.toString(Ay)]
+            };
+        }
+        return this.issuer;
+    }
+    
+    /**
+     * Commitment the holder hands the issuer: Poseidon(holderSecret)
+     */
+    async calculateHolderCommitment(holderSecret) {
+        return this.calculatePoseidonHash([holderSecret]);
     }
     
     /**
-     * Generate a signed age credential
-     * This simulates what a KYC provider would do
+     * Generate a signed credential
+     * This simulates what a KYC provider would do: sign
+     * Poseidon(dateOfBirth, country, accredited, expiry, holderCommitment)
+     * with EdDSA-Poseidon. The issuer only ever sees the holder's commitment,
+     * never holderSecret, so it cannot prove with the credential or compute
+     * its nullifiers.
+     * @param {Object} attributes
+     * @param {number} attributes.dateOfBirth Date of birth (YYYYMMDD)
+     * @param {number} attributes.country Country of residence (ISO 3166-1 numeric)
+     * @param {number} [attributes.accredited] 1 for an accredited investor
+     * @param {number} attributes.expiry Date the credential expires (YYYYMMDD)
+     * @param {string} attributes.holderCommitment Poseidon(holderSecret), from the holder
      */
-    async generateAgeCredential(age, issuerPrivateKey) {
-        // Calculate age hash
-        const ageHash = await this.calculatePoseidonHash([age]);
+    async generateCredential(attributes, issuerPrivateKey) {
+        const eddsa = await this.getEddsa();
+        const { dateOfBirth, country, accredited = 0, expiry, holderCommitment } = attributes;
+        if (holderCommitment === undefined) {
+            throw new Error('A credential needs the holder commitment Poseidon(holderSecret)');
+        }
+        
+        // Calculate credential hash over the fixed schema
+        const credentialHash = await this.calculatePoseidonHash([dateOfBirth, country, accredited, expiry, holderCommitment]);
         
-        // Generate signature as Poseidon(age, issuerPrivateKey)
-        // In production, use proper EdDSA signature
-        const signature = await this.calculatePoseidonHash([age, issuerPrivateKey]);
+        // Sign the credential hash
+        const { R8, S } = eddsa.signPoseidon(issuerPrivateKey, eddsa.F.e(credentialHash));
         
         return {
-            age,
-            ageHash,
-            signature
+            dateOfBirth,
+            country,
+            accredited,
+            expiry,
+            holderCommitment,
+            credentialHash,
+            signature: [S.toString(), eddsa.F.toString(R8[0]), eddsa.F.toString(R8[1])]
         };
     }
     
     /**
      * Generate circuit inputs for proof generation
+     * minAge and blockedCountries are zeroed unless the policy checks them,
+     * as KYCVerifier does. The proof only verifies when submitted by
+     * `account` to the KYCVerifier at `verifierAddress` on `chainId`.
+     * @param {Object} attributes Credential attributes, see generateCredential,
+     *   plus the holder's `holderSecret` (random by default) in place of its commitment
+     * @param {Object} [options]
+     * @param {number} [options.policy] Predicates to prove, default POLICIES.AGE
+     * @param {number} [options.minAge] Minimum age to prove
+     * @param {number[]} [options.blockedCountries] KYCVerifier's sanctioned countries
+     * @param {number} [options.currentDate] Date to check the predicates at
+     *   (YYYYMMDD); must be within a day of the chain's time when the proof is submitted
+     * @param {string} [options.account] Address that will submit the proof
+     * @param {number|bigint} [options.chainId] Chain the proof is for
+     * @param {string} [options.verifierAddress] KYCVerifier address
+     * @param {number|bigint|string} [options.scope] KYCVerifier's scope
      */
-    async generateCircuitInputs(userAge, minAge = 18) {
-        console.log(`\n📝 Generating circuit inputs for age ${userAge}...`);
+    async generateCircuitInputs(attributes, {
+        policy = POLICIES.AGE,
+        minAge = 18,
+        blockedCountries = [],
+        currentDate = toDate(),
+        account = ZERO_ADDRESS,
+        chainId = DEFAULT_CHAIN_ID,
+        verifierAddress = ZERO_ADDRESS,
+        scope = DEFAULT_SCOPE
+    } = {}) {
+        console.log(`\n📝 Generating circuit inputs for policy ${policy}...`);
+        
+        if (blockedCountries.length > MAX_BLOCKED_COUNTRIES) {
+            throw new Error(`At most ${MAX_BLOCKED_COUNTRIES} blocked countries are supported`);
+        }
         
         // Generate issuer credentials
         const issuer = await this.generateIssuerCredentials();
-        console.log(`🔑 Issuer public key: ${issuer.publicKey}`);
+        console.log(`🔑 Issuer public key: (${issuer.publicKey.join(', ')})`);
+        
+        // The holder keeps holderSecret and sends the issuer its commitment
+        const { holderSecret = randomHolderSecret(), ...issued } = attributes;
+        const holderCommitment = await this.calculateHolderCommitment(holderSecret);
+        const credential = await this.generateCredential({ ...issued, holderCommitment }, issuer.privateKey);
+        console.log(`📋 Credential hash: ${credential.credentialHash}`);
+        console.log(`✍️  Signature: (${credential.signature.join(', ')})`);
         
-        // Generate age credential
-        const credential = await this.generateAgeCredential(userAge, issuer.privateKey);
-        console.log(`📋 Age hash: ${credential.ageHash}`);
-        console.log(`✍️  Signature: ${credential.signature}`);
+        const blocked = policy & PREDICATES.COUNTRY ? blockedCountries : [];
         
         // Prepare circuit inputs
         const circuitInputs = {
             // Private inputs (not revealed)
-            age: userAge.toString(),
+            dateOfBirth: credential.dateOfBirth.toString(),
+            country: credential.country.toString(),
+            accredited: credential.accredited.toString(),
+            expiry: credential.expiry.toString(),
+            holderSecret,
+            credentialHash: credential.credentialHash,
             signature: credential.signature,
-            issuerPrivateKey: issuer.privateKey,
             
             // Public inputs (revealed on-chain)
-            ageHash: credential.ageHash,
             issuerPublicKey: issuer.publicKey,
-            minAge: minAge.toString()
+            policy: policy.toString(),
+            currentDate: currentDate.toString(),
+            minAge: (policy & PREDICATES.AGE ? minAge : 0).toString(),
+            blockedCountries: Array.from({ length: MAX_BLOCKED_COUNTRIES }, (_, i) => (blocked[i] || 0).toString()),
+            account: BigInt(account).toString(),
+            chainId: chainId.toString(),
+            verifierAddress: BigInt(verifierAddress).toString(),
+            scope: scope.toString()
         };
         
         console.log(`✅ Circuit inputs generated`);
         return circuitInputs;
     }
     
+    /**
+     * The nullifier a proof from these circuit inputs will output
+     * Poseidon(holderSecret, credentialHash, scope): the same for every proof
+     * from one credential in one scope.
+     */
+    async calculateNullifier(circuitInputs) {
+        const { holderSecret, credentialHash, scope } = circuitInputs;
+        return this.calculatePoseidonHash([holderSecret, credentialHash, scope]);
+    }
+    
     /**
      * Generate zk-SNARK proof
      */
     async generateProof(circuitInputs) {
         console.log('\n🔄 Generating zk-SNARK proof...');
         
+        // Refuse a wasm or proving key from another build
+        await assertManifest(['wasm', 'zkey']);
+        
         try {
             // Generate witness
             const { witness } = await snarkjs.groth16.fullProve(
@@ -154,6 +320,8 @@ class KYCProofGenerator {
     async verifyProofLocally(proof, publicSignals) {
         console.log('\n🔍 Verifying proof locally...');
         
+        await assertManifest(['verificationKey']);
+        
         try {
             const vKey = JSON.parse(fs.readFileSync(this.verificationKey));
             const res = await snarkjs.groth16.verify(vKey, publicSignals, proof);
@@ -197,9 +365,16 @@ class KYCProofGenerator {
         console.log('\n🧪 Generating test cases...');
         
         const testCases = [
-            { age: 25, description: 'Valid case: Adult (25 years old)' },
-            { age: 18, description: 'Edge case: Exactly 18 years old' },
-            { age: 65, description: 'Valid case: Senior (65 years old)' }
+            { name: 'age_25', attributes: demoAttributes(25), policy: POLICIES.AGE, description: 'Valid case: Adult (25 years old)' },
+            { name: 'age_18', attributes: demoAttributes(18), policy: POLICIES.AGE, description: 'Edge case: Exactly 18 years old' },
+            { name: 'age_65', attributes: demoAttributes(65), policy: POLICIES.AGE, description: 'Valid case: Senior (65 years old)' },
+            { name: 'sanctions', attributes: demoAttributes(30), policy: POLICIES.SANCTIONS, description: 'Valid case: Resident outside sanctioned countries' },
+            {
+                name: 'accredited_investor',
+                attributes: { ...demoAttributes(40), accredited: 1 },
+                policy: POLICIES.ACCREDITED_INVESTOR,
+                description: 'Valid case: Accredited investor'
+            }
         ];
         
         const results = [];
@@ -208,11 +383,11 @@ class KYCProofGenerator {
             console.log(`\n--- ${testCase.description} ---`);
             
             try {
-                const inputs = await this.generateCircuitInputs(testCase.age);
+                const inputs = await this.generateCircuitInputs(testCase.attributes, { policy: testCase.policy });
                 const { proof, publicSignals } = await this.generateProof(inputs);
                 const isValid = await this.verifyProofLocally(proof, publicSignals);
                 
-                const filename = `proof_age_${testCase.age}.json`;
+                const filename = `proof_${testCase.name}.json`;
                 const proofData = this.saveProof(proof, publicSignals, filename);
                 
                 results.push({
@@ -224,7 +399,7 @@ class KYCProofGenerator {
                 });
                 
             } catch (error) {
-                console.error(`❌ Failed to generate proof for age ${testCase.age}:`, error.message);
+                console.error(`❌ Failed to generate proof for ${testCase.description}:`, error.message);
                 results.push({
                     ...testCase,
                     success: false,
@@ -243,7 +418,7 @@ class KYCProofGenerator {
         console.log('\n🚫 Testing underage case (should fail)...');
         
         try {
-            const inputs = await this.generateCircuitInputs(17); // Underage
+            const inputs = await this.generateCircuitInputs(demoAttributes(17)); // Underage
             
             // This should fail at the circuit level
             const { proof, publicSignals } = await this.generateProof(inputs);
@@ -318,4 +493,14 @@ if (require.main === module) {
     main();
 }
 
-module.exports = { KYCProofGenerator };
+module.exports = {
+    KYCProofGenerator,
+    PREDICATES,
+    POLICIES,
+    MAX_BLOCKED_COUNTRIES,
+    DEFAULT_SCOPE,
+    randomHolderSecret,
+    toDate,
+    dateOfBirthForAge,
+    demoAttributes
+};
@@ -0,0 +1,131 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { execSync } = require('child_process');
+
+/**
+ * Build Manifest
+ *
+ * compile-circuit records the SHA-256 of the circuit source and of every
+ * artifact it generates in build/manifest.json, together with the tool
+ * versions used. The proof generator and the deploy script check the files
+ * they use against it, so a proving key, verification key and Verifier.sol
+ * from different builds are never mixed.
+ *
+ * All paths are relative to the project root. Files are hashed as streams,
+ * since a ptau or zkey can be several gigabytes.
+ */
+
+const MANIFEST_FILE = './build/manifest.json';
+
+const SOURCES = {
+    circuit: 'circuits/kyc.circom'
+};
+
+const ARTIFACTS = {
+    r1cs: 'build/kyc.r1cs',
+    wasm: 'build/kyc_js/kyc.wasm',
+    zkey: 'build/kyc_final.zkey',
+    verificationKey: 'build/verification_key.json',
+    verifier: 'contracts/Verifier.sol'
+};
+
+function sha256(file) {
+    return new Promise((resolve, reject) => {
+        const hash = crypto.createHash('sha256');
+        fs.createReadStream(file)
+            .on('data', (chunk) => hash.update(chunk))
+            .on('end', () => resolve(hash.digest('hex')))
+            .on('error', reject);
+    });
+}
+
+function packageVersion(name) {
+    let dir = path.dirname(require.resolve(name));
+    while (!fs.existsSync(path.join(dir, 'package.json'))) {
+        dir = path.dirname(dir);
+    }
+    return JSON.parse(fs.readFileSync(path.join(dir, 'package.json'), 'utf8')).version;
+}
+
+/**
+ * Versions of the tools that produced the artifacts
+ */
+function toolVersions() {
+    return {
+        circom: execSync('circom --version').toString().trim().split('\n').pop(),
+        snarkjs: packageVersion('snarkjs'),
+        circomlib: JSON.parse(fs.readFileSync(require.resolve('circomlib/package.json'), 'utf8')).version,
+        node: process.version
+    };
+}
+
+/**
+ * Hash the sources and artifacts of the current build into build/manifest.json
+ */
+async function writeManifest({ ptau, production, constraints }) {
+    const hashAll = async (files) => {
+        const entries = [];
+        for (const [name, file] of Object.entries(files)) {
+            entries.push([name, { file, sha256: await sha256(file) }]);
+        }
+        return Object.fromEntries(entries);
+    };
+
+    const manifest = {
+        circuit: 'kyc',
+        constraints,
+        tools: toolVersions(),
+        ptau: { file: path.basename(ptau), sha256: await sha256(ptau), production },
+        sources: await hashAll(SOURCES),
+        artifacts: await hashAll(ARTIFACTS),
+        createdAt: new Date().toISOString()
+    };
+
+    fs.writeFileSync(MANIFEST_FILE, JSON.stringify(manifest, null, 2));
+    return manifest;
+}
+
+function readManifest(root = '.') {
+    const file = path.join(root, MANIFEST_FILE);
+    if (!fs.existsSync(file)) {
+        throw new Error(`${file} not found. Please run 'npm run compile-circuit' first.`);
+    }
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+/**
+ * Reject unless the named artifacts (default: all sources and artifacts) of
+ * the project in `root` still match its manifest
+ */
+async function assertManifest(names, root = '.') {
+    const manifest = readManifest(root);
+    const entries = names
+        ? names.map((name) => manifest.artifacts[name])
+        : [...Object.values(manifest.sources), ...Object.values(manifest.artifacts)];
+
+    const mismatched = [];
+    for (const { file, sha256: expected } of entries) {
+        const resolved = path.join(root, file);
+        if (!fs.existsSync(resolved) || await sha256(resolved) !== expected) {
+            mismatched.push(file);
+        }
+    }
+
+    if (mismatched.length) {
+        throw new Error(
+            `Build does not match ${MANIFEST_FILE}: ${mismatched.join(', ')}. Please run 'npm run compile-circuit' again.`
+        );
+    }
+    return manifest;
+}
+
+module.exports = {
+    MANIFEST_FILE,
+    SOURCES,
+    ARTIFACTS,
+    sha256,
+    writeManifest,
+    readManifest,
+    assertManifest
+};
@@ -0,0 +1,124 @@
+const { expect } = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const snarkjs = require('snarkjs');
+const {
+    verifyZkey,
+    init,
+    exportPackage,
+    contribute,
+    importContribution,
+    applyBeacon
+} = require('../scripts/ceremony');
+
+/**
+ * Trusted Setup Ceremony Tests
+ *
+ * Runs a phase-2 ceremony for kyc.r1cs with several simulated participants,
+ * each in their own directory, closes it with a beacon and checks the result
+ * with `snarkjs zkey verify`.
+ */
+
+describe('Trusted Setup Ceremony', function () {
+    this.timeout(600000);
+
+    const BUILD_DIR = './build';
+    const R1CS = path.join(BUILD_DIR, 'kyc.r1cs');
+    const MANIFEST = path.join(BUILD_DIR, 'manifest.json');
+    const BEACON = '0x' + 'cd'.repeat(32);
+
+    let ptau, dir, transcript;
+    const workDirs = [];
+
+    function tempDir(prefix) {
+        const d = fs.mkdtempSync(path.join(os.tmpdir(), prefix));
+        workDirs.push(d);
+        return d;
+    }
+
+    // Each participant gets an exported package in their own directory, as
+    // they would on their own machine
+    async function participant(name) {
+        const packageDir = tempDir(`participant-${name}-`);
+        exportPackage({ dir, out: packageDir });
+        return contribute({ packageDir, name });
+    }
+
+    before(async function () {
+        if (!fs.existsSync(MANIFEST)) {
+            throw new Error(`Required circuit file not found: ${MANIFEST}. Please run "npm run compile-circuit" first.`);
+        }
+        // The ceremony uses the ptau the build was made with
+        ptau = path.join(BUILD_DIR, JSON.parse(fs.readFileSync(MANIFEST, 'utf8')).ptau.file);
+        for (const file of [R1CS, ptau]) {
+            if (!fs.existsSync(file)) {
+                throw new Error(`Required circuit file not found: ${file}. Please run "npm run compile-circuit" first.`);
+            }
+        }
+
+        dir = tempDir('ceremony-');
+        await init({ r1cs: R1CS, ptau, dir });
+    });
+
+    after(function () {
+        for (const d of workDirs) {
+            fs.rmSync(d, { recursive: true, force: true });
+        }
+    });
+
+    it('Should accept contributions from several participants in turn', async function () {
+        const hashes = [];
+        for (const name of ['alice', 'bob', 'carol']) {
+            const { response, hash } = await participant(name);
+            const accepted = await importContribution({ dir, zkey: response });
+            expect(accepted).to.include({ name, hash });
+            hashes.push(hash);
+        }
+
+        const { contributions } = JSON.parse(fs.readFileSync(path.join(dir, 'transcript.json'), 'utf8'));
+        expect(contributions.map((c) => c.hash)).to.deep.equal(hashes);
+        expect(contributions.map((c) => c.index)).to.deep.equal([1, 2, 3]);
+    });
+
+    it('Should reject a contribution that skips accepted ones', async function () {
+        const packageDir = tempDir('participant-stale-');
+        const pkg = exportPackage({ dir, out: packageDir });
+
+        // Contribute on top of alice's zkey instead of carol's
+        fs.copyFileSync(path.join(dir, 'kyc_0001.zkey'), path.join(packageDir, pkg.challenge));
+        const { response } = await contribute({ packageDir, name: 'mallory' });
+
+        await expect(importContribution({ dir, zkey: response }))
+            .to.be.rejectedWith('does not extend the latest zkey (3 accepted contributions)');
+    });
+
+    it('Should reject a zkey that fails zkey verify', async function () {
+        const forged = path.join(dir, 'forged.zkey');
+        const bytes = fs.readFileSync(path.join(dir, 'kyc_0003.zkey'));
+        bytes[bytes.length - 100] ^= 0xff;
+        fs.writeFileSync(forged, bytes);
+
+        await expect(importContribution({ dir, zkey: forged })).to.be.rejectedWith('failed zkey verify');
+    });
+
+    it('Should finalize with a beacon that zkey verify accepts', async function () {
+        transcript = await applyBeacon({ dir, beacon: BEACON, iterationsExp: 10 });
+        expect(transcript.final.zkey).to.equal('kyc_0004.zkey');
+        expect(transcript.contributions.map((c) => c.name)).to.deep.equal(['alice', 'bob', 'carol', 'Final beacon']);
+        expect(transcript.contributions[3].beacon).to.deep.equal({ hash: BEACON.slice(2), iterationsExp: 10 });
+
+        const final = await verifyZkey({ r1cs: R1CS, ptau, zkey: path.join(dir, transcript.final.zkey) });
+        expect(final.valid).to.be.true;
+        expect(final.circuitHash).to.equal(transcript.circuitHash);
+        expect(final.contributions.map((c) => c.hash)).to.deep.equal(transcript.contributions.map((c) => c.hash));
+
+        const vkey = JSON.parse(fs.readFileSync(path.join(dir, 'verification_key.json'), 'utf8'));
+        expect(vkey).to.deep.equal(await snarkjs.zKey.exportVerificationKey(path.join(dir, transcript.final.zkey)));
+    });
+
+    it('Should refuse further contributions once finalized', async function () {
+        expect(() => exportPackage({ dir, out: path.join(dir, 'late') })).to.throw('Ceremony is finalized');
+        await expect(applyBeacon({ dir, beacon: BEACON })).to.be.rejectedWith('Ceremony is finalized');
+    });
+});
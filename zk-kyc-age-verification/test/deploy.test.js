@@ -0,0 +1,75 @@
+const { expect } = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { resolveIssuerPublicKey } = require('../scripts/deploy');
+const { KYCProofGenerator } = require('../scripts/generate-proof');
+
+/**
+ * Deployment Script Tests
+ *
+ * Checks which issuer the deploy script trusts on local and public networks,
+ * and that it never prints an issuer private key.
+ */
+
+describe('Deployment Script', function () {
+    const ISSUER_PRIVATE_KEY = '01'.repeat(32);
+
+    let dir, keyFile, logged, originalLog, issuerPublicKey;
+
+    before(async function () {
+        const generator = new KYCProofGenerator({ issuerPrivateKey: ISSUER_PRIVATE_KEY });
+        issuerPublicKey = (await generator.generateIssuerCredentials()).publicKey;
+    });
+
+    beforeEach(function () {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'kyc-deploy-'));
+        keyFile = path.join(dir, 'demo_issuer.key');
+        logged = [];
+        originalLog = console.log;
+        console.log = (...args) => logged.push(args.join(' '));
+    });
+
+    afterEach(function () {
+        console.log = originalLog;
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('Should require ISSUER_PUBLIC_KEY outside local networks', async function () {
+        await expect(resolveIssuerPublicKey('sepolia', {}, keyFile))
+            .to.be.rejectedWith('ISSUER_PUBLIC_KEY is required to deploy to sepolia');
+        // A private key in the environment is not a substitute
+        await expect(resolveIssuerPublicKey('mainnet', { ISSUER_PRIVATE_KEY }, keyFile))
+            .to.be.rejectedWith('ISSUER_PUBLIC_KEY is required to deploy to mainnet');
+        expect(fs.existsSync(keyFile)).to.be.false;
+    });
+
+    it('Should trust the configured public key on any network', async function () {
+        const env = { ISSUER_PUBLIC_KEY: issuerPublicKey.join(',') };
+        expect(await resolveIssuerPublicKey('sepolia', env, keyFile)).to.deep.equal(issuerPublicKey);
+        expect(await resolveIssuerPublicKey('hardhat', env, keyFile)).to.deep.equal(issuerPublicKey);
+    });
+
+    it('Should reject a public key that is not on BabyJubJub', async function () {
+        for (const value of ['1,2', issuerPublicKey[0], 'x,y']) {
+            await expect(resolveIssuerPublicKey('sepolia', { ISSUER_PUBLIC_KEY: value }, keyFile))
+                .to.be.rejectedWith('ISSUER_PUBLIC_KEY must be "Ax,Ay"');
+        }
+    });
+
+    it('Should derive the issuer from ISSUER_PRIVATE_KEY on local networks', async function () {
+        expect(await resolveIssuerPublicKey('localhost', { ISSUER_PRIVATE_KEY }, keyFile)).to.deep.equal(issuerPublicKey);
+        expect(fs.existsSync(keyFile)).to.be.false;
+        expect(logged.join('\n')).to.not.include(ISSUER_PRIVATE_KEY);
+    });
+
+    it('Should write a demo issuer key to a file instead of printing it', async function () {
+        const publicKey = await resolveIssuerPublicKey('hardhat', {}, keyFile);
+
+        const privateKey = fs.readFileSync(keyFile, 'utf8');
+        expect(fs.statSync(keyFile).mode & 0o777).to.equal(0o600);
+        const generator = new KYCProofGenerator({ issuerPrivateKey: privateKey });
+        expect((await generator.generateIssuerCredentials()).publicKey).to.deep.equal(publicKey);
+        expect(logged.join('\n')).to.not.include(privateKey);
+    });
+});
@@ -1,9 +1,19 @@
 const { expect } = require('chai');
 const { ethers } = require('hardhat');
+const { time, takeSnapshot } = require('@nomicfoundation/hardhat-network-helpers');
 const fs = require('fs');
 const path = require('path');
 const snarkjs = require('snarkjs');
 const circomlibjs = require('circomlibjs');
+const {
+    PREDICATES,
+    POLICIES,
+    MAX_BLOCKED_COUNTRIES,
+    DEFAULT_SCOPE,
+    randomHolderSecret,
+    toDate,
+    demoAttributes
+} = require('../scripts/generate-proof');
 
 /**
  * Comprehensive Test Suite for KYC Age Verification System
@@ -15,12 +25,14 @@ const circomlibjs = require('circomlibjs');
  * 4. Invalid proof rejection
  * 5. Edge cases and security scenarios
  * 6. Batch verification functionality
+ * 7. Sanctions and accredited investor policies
+ * 8. Account binding and credential nullifiers
  */
 
 describe('KYC Age Verification System', function () {
     let verifier, kycVerifier;
     let owner, user1, user2, attacker;
-    let mockIssuerPrivateKey, mockIssuerPublicKey;
+    let eddsa, mockIssuerPrivateKey, mockIssuerPublicKey;
     
     const BUILD_DIR = './build';
     const CIRCUIT_WASM = path.join(BUILD_DIR, 'kyc_js', 'kyc.wasm');
@@ -63,14 +75,15 @@ describe('KYC Age Verification System', function () {
     
     async function setupMockIssuer() {
         // Mock issuer credentials (in production, this would be a real KYC provider)
-        mockIssuerPrivateKey = "12345678901234567890123456789012345678901234567890123456789012345";
+        eddsa = await circomlibjs.buildEddsa();
+        mockIssuerPrivateKey = Buffer.alloc(32, 1);
+        mockIssuerPublicKey = issuerPublicKeyOf(mockIssuerPrivateKey);
         
-        // Calculate public key using Poseidon hash
-        const poseidon = await circomlibjs.buildPoseidon();
-        const publicKeyHash = poseidon([mockIssuerPrivateKey]);
-        mockIssuerPublicKey = poseidon.F.toString(publicKeyHash);
-        
-        console.log(`🔑 Mock issuer public key: ${mockIssuerPublicKey}`);
+        console.log(`🔑 Mock issuer public key: (${mockIssuerPublicKey.join(', ')})`);
+    }
+    
+    function issuerPublicKeyOf(privateKey) {
+        return eddsa.prv2pub(privateKey).map((c) => eddsa.F.toString(c));
     }
     
     async function calculatePoseidonHash(inputs) {
@@ -79,29 +92,90 @@ describe('KYC Age Verification System', function () {
         return poseidon.F.toString(hash);
     }
     
-    async function generateAgeCredential(age) {
-        // Calculate age hash
-        const ageHash = await calculatePoseidonHash([age]);
+    // Today's date (YYYYMMDD) on the chain, which the contract checks proofs against
+    async function chainDate() {
+        return toDate((await time.latest()) * 1000);
+    }
+    
+    // Attributes for a holder who turned `age` today on the chain, valid for a year
+    async function chainAttributes(age, overrides = {}) {
+        return { ...demoAttributes(age, (await time.latest()) * 1000), ...overrides };
+    }
+    
+    // What the issuer does with a request: it sees the attributes and the
+    // holder's commitment Poseidon(holderSecret), never holderSecret itself
+    async function issueCredential({ dateOfBirth, country, accredited, expiry, holderCommitment }, issuerPrivateKey = mockIssuerPrivateKey) {
+        // Calculate credential hash over the fixed schema
+        const credentialHash = await calculatePoseidonHash([dateOfBirth, country, accredited, expiry, holderCommitment]);
+        
+        // Issuer signs the credential hash with EdDSA-Poseidon
+        const { R8, S } = eddsa.signPoseidon(issuerPrivateKey, eddsa.F.e(credentialHash));
+        const signature = [S.toString(), eddsa.F.toString(R8[0]), eddsa.F.toString(R8[1])];
         
-        // Generate mock signature
-        const signature = await calculatePoseidonHash([age, mockIssuerPrivateKey]);
+        return { holderCommitment, credentialHash, signature };
+    }
+    
+    // Every credential gets its own holderSecret, and so its own nullifier,
+    // unless the attributes fix one
+    async function generateCredential(attributes, issuerPrivateKey = mockIssuerPrivateKey) {
+        const holderSecret = attributes.holderSecret || randomHolderSecret();
+        const holderCommitment = await calculatePoseidonHash([holderSecret]);
+        const issued = await issueCredential({ ...attributes, holderCommitment }, issuerPrivateKey);
         
-        return { ageHash, signature };
+        return { ...attributes, holderSecret, ...issued };
     }
     
-    async function generateCircuitInputs(age, minAge = MIN_AGE) {
-        const credential = await generateAgeCredential(age);
+    // Inputs proving `policy` at the chain's date for `account` on kycVerifier;
+    // minAge and blockedCountries are zeroed unless the policy checks them, as
+    // the contract does
+    async function generatePolicyInputs(attributes, policy, {
+        minAge = MIN_AGE,
+        blockedCountries = [],
+        issuerPrivateKey = mockIssuerPrivateKey,
+        account = owner.address,
+        chainId,
+        verifierAddress,
+        scope = DEFAULT_SCOPE
+    } = {}) {
+        const credential = await generateCredential(attributes, issuerPrivateKey);
+        const blocked = policy & PREDICATES.COUNTRY ? blockedCountries : [];
         
         return {
             // Private inputs
-            age: age.toString(),
+            dateOfBirth: credential.dateOfBirth.toString(),
+            country: credential.country.toString(),
+            accredited: credential.accredited.toString(),
+            expiry: credential.expiry.toString(),
+            holderSecret: credential.holderSecret,
+            credentialHash: credential.credentialHash,
             signature: credential.signature,
-            issuerPrivateKey: mockIssuerPrivateKey,
             
             // Public inputs
-            ageHash: credential.ageHash,
-            issuerPublicKey: mockIssuerPublicKey,
-            minAge: minAge.toString()
+            issuerPublicKey: issuerPublicKeyOf(issuerPrivateKey),
+            policy: policy.toString(),
+            currentDate: (await chainDate()).toString(),
+            minAge: (policy & PREDICATES.AGE ? minAge : 0).toString(),
+            blockedCountries: Array.from({ length: MAX_BLOCKED_COUNTRIES }, (_, i) => (blocked[i] || 0).toString()),
+            account: BigInt(account).toString(),
+            chainId: (chainId || (await ethers.provider.getNetwork()).chainId).toString(),
+            verifierAddress: BigInt(verifierAddress || await kycVerifier.getAddress()).toString(),
+            scope: scope.toString()
+        };
+    }
+    
+    // Inputs for the age policy for a holder who turned `age` today
+    async function generateCircuitInputs(age, options = {}) {
+        return generatePolicyInputs(await chainAttributes(age), POLICIES.AGE, options);
+    }
+    
+    // Public signals are [nullifier, issuerAx, issuerAy, policy, currentDate,
+    // minAge, blockedCountries, account, chainId, verifierAddress, scope]
+    function contractArgs(publicSignals) {
+        return {
+            nullifier: publicSignals[0],
+            issuerPublicKey: [publicSignals[1], publicSignals[2]],
+            minAge: publicSignals[5],
+            currentDate: publicSignals[4]
         };
     }
     
@@ -123,6 +197,19 @@ describe('KYC Age Verification System', function () {
         return { proof, publicSignals, formattedProof };
     }
     
+    // The circuit has no witness for inputs that break a constraint, so no
+    // proof can be generated for them
+    async function expectWitnessFailure(circuitInputs) {
+        let error;
+        try {
+            await generateProof(circuitInputs);
+        } catch (e) {
+            error = e;
+        }
+        expect(error, 'witness generation should fail').to.exist;
+        expect(error.message).to.include('Assert Failed');
+    }
+    
     describe('Contract Deployment', function () {
         it('Should deploy Verifier contract', async function () {
             const VerifierFactory = await ethers.getContractFactory('Verifier');
@@ -135,28 +222,37 @@ describe('KYC Age Verification System', function () {
         
         it('Should deploy KYCVerifier contract', async function () {
             const KYCVerifierFactory = await ethers.getContractFactory('KYCVerifier');
-            kycVerifier = await KYCVerifierFactory.deploy(await verifier.getAddress());
+            kycVerifier = await KYCVerifierFactory.deploy(await verifier.getAddress(), DEFAULT_SCOPE);
             await kycVerifier.waitForDeployment();
             
             expect(await kycVerifier.getAddress()).to.be.properAddress;
             expect(await kycVerifier.owner()).to.equal(owner.address);
             expect(await kycVerifier.MIN_AGE()).to.equal(MIN_AGE);
+            expect(await kycVerifier.scope()).to.equal(DEFAULT_SCOPE);
             
             console.log(`✅ KYCVerifier deployed to: ${await kycVerifier.getAddress()}`);
         });
+        
+        it('Should convert timestamps to YYYYMMDD dates', async function () {
+            expect(await kycVerifier.toDate(0)).to.equal(19700101);
+            expect(await kycVerifier.toDate(951782400)).to.equal(20000229);
+            expect(await kycVerifier.toDate(1709251199)).to.equal(20240229);
+            expect(await kycVerifier.toDate(4102444799)).to.equal(20991231);
+            expect(await kycVerifier.toDate(await time.latest())).to.equal(await chainDate());
+        });
     });
     
     describe('Trusted Issuer Management', function () {
         it('Should add trusted issuer', async function () {
             await expect(kycVerifier.addTrustedIssuer(mockIssuerPublicKey))
                 .to.emit(kycVerifier, 'IssuerAdded')
-                .withArgs(mockIssuerPublicKey);
+                .withArgs(...mockIssuerPublicKey);
             
             expect(await kycVerifier.isTrustedIssuer(mockIssuerPublicKey)).to.be.true;
         });
         
         it('Should not allow non-owner to add trusted issuer', async function () {
-            const randomPublicKey = "999999999999999999999999999999999999999999999999999999999999999999";
+            const randomPublicKey = issuerPublicKeyOf(Buffer.alloc(32, 9));
             
             await expect(
                 kycVerifier.connect(user1).addTrustedIssuer(randomPublicKey)
@@ -164,7 +260,7 @@ describe('KYC Age Verification System', function () {
         });
         
         it('Should remove trusted issuer', async function () {
-            const tempPublicKey = "888888888888888888888888888888888888888888888888888888888888888888";
+            const tempPublicKey = issuerPublicKeyOf(Buffer.alloc(32, 8));
             
             // Add then remove
             await kycVerifier.addTrustedIssuer(tempPublicKey);
@@ -172,7 +268,7 @@ describe('KYC Age Verification System', function () {
             
             await expect(kycVerifier.removeTrustedIssuer(tempPublicKey))
                 .to.emit(kycVerifier, 'IssuerRemoved')
-                .withArgs(tempPublicKey);
+                .withArgs(...tempPublicKey);
             
             expect(await kycVerifier.isTrustedIssuer(tempPublicKey)).to.be.false;
         });
@@ -183,48 +279,45 @@ describe('KYC Age Verification System', function () {
             this.timeout(30000);
             
             const age = TEST_AGES.VALID_ADULT;
-            const circuitInputs = await generateCircuitInputs(age);
+            const circuitInputs = await generateCircuitInputs(age, { account: user1.address });
             const { formattedProof, publicSignals } = await generateProof(circuitInputs);
             
-            const ageHash = publicSignals[0];
-            const issuerPublicKey = publicSignals[1];
-            const minAge = publicSignals[2];
+            const { issuerPublicKey, minAge, currentDate, nullifier } = contractArgs(publicSignals);
             
             await expect(
                 kycVerifier.connect(user1).verifyAgeProof(
                     formattedProof,
-                    ageHash,
                     issuerPublicKey,
-                    minAge
+                    minAge,
+                    currentDate,
+                    nullifier
                 )
             ).to.emit(kycVerifier, 'AgeVerified')
-             .withArgs(user1.address, ageHash, true);
+             .withArgs(user1.address, nullifier, true);
             
             // Check user verification status
             expect(await kycVerifier.isUserVerified(user1.address)).to.be.true;
-            expect(await kycVerifier.getUserAgeHash(user1.address)).to.equal(ageHash);
         });
         
         it('Should verify proof for user exactly at minimum age (18)', async function () {
             this.timeout(30000);
             
             const age = TEST_AGES.EXACTLY_MIN;
-            const circuitInputs = await generateCircuitInputs(age);
+            const circuitInputs = await generateCircuitInputs(age, { account: user2.address });
             const { formattedProof, publicSignals } = await generateProof(circuitInputs);
             
-            const ageHash = publicSignals[0];
-            const issuerPublicKey = publicSignals[1];
-            const minAge = publicSignals[2];
+            const { issuerPublicKey, minAge, currentDate, nullifier } = contractArgs(publicSignals);
             
             await expect(
                 kycVerifier.connect(user2).verifyAgeProof(
                     formattedProof,
-                    ageHash,
                     issuerPublicKey,
-                    minAge
+                    minAge,
+                    currentDate,
+                    nullifier
                 )
             ).to.emit(kycVerifier, 'AgeVerified')
-             .withArgs(user2.address, ageHash, true);
+             .withArgs(user2.address, nullifier, true);
             
             expect(await kycVerifier.isUserVerified(user2.address)).to.be.true;
         });
@@ -233,52 +326,69 @@ describe('KYC Age Verification System', function () {
             this.timeout(30000);
             
             const age = TEST_AGES.SENIOR;
-            const circuitInputs = await generateCircuitInputs(age);
+            const circuitInputs = await generateCircuitInputs(age, { account: attacker.address });
             const { formattedProof, publicSignals } = await generateProof(circuitInputs);
             
-            const ageHash = publicSignals[0];
-            const issuerPublicKey = publicSignals[1];
-            const minAge = publicSignals[2];
+            const { issuerPublicKey, minAge, currentDate, nullifier } = contractArgs(publicSignals);
             
             await expect(
                 kycVerifier.connect(attacker).verifyAgeProof(
                     formattedProof,
-                    ageHash,
                     issuerPublicKey,
-                    minAge
+                    minAge,
+                    currentDate,
+                    nullifier
                 )
             ).to.emit(kycVerifier, 'AgeVerified')
-             .withArgs(attacker.address, ageHash, true);
+             .withArgs(attacker.address, nullifier, true);
             
             expect(await kycVerifier.isUserVerified(attacker.address)).to.be.true;
         });
+        
+        it('Should verify a credential once the holder comes of age', async function () {
+            this.timeout(30000);
+            
+            // Issued for two years to a 17 year old, who turns 18 a year later
+            const attributes = await chainAttributes(TEST_AGES.UNDERAGE);
+            attributes.expiry += 10000;
+            
+            await time.increase(366 * 24 * 60 * 60);
+            
+            const circuitInputs = await generatePolicyInputs(attributes, POLICIES.AGE, { account: user2.address });
+            const { formattedProof, publicSignals } = await generateProof(circuitInputs);
+            const { issuerPublicKey, minAge, currentDate, nullifier } = contractArgs(publicSignals);
+            
+            await expect(
+                kycVerifier.connect(user2).verifyAgeProof(
+                    formattedProof,
+                    issuerPublicKey,
+                    minAge,
+                    currentDate,
+                    nullifier
+                )
+            ).to.emit(kycVerifier, 'AgeVerified')
+             .withArgs(user2.address, nullifier, true);
+        });
     });
     
     describe('Age Verification - Invalid Cases', function () {
         it('Should reject proof from untrusted issuer', async function () {
             this.timeout(30000);
             
-            // Generate proof with different issuer
-            const fakeIssuerPrivateKey = "99999999999999999999999999999999999999999999999999999999999999999";
-            const fakeIssuerPublicKey = await calculatePoseidonHash([fakeIssuerPrivateKey]);
-            
-            const circuitInputs = {
-                age: "25",
-                signature: await calculatePoseidonHash(["25", fakeIssuerPrivateKey]),
-                issuerPrivateKey: fakeIssuerPrivateKey,
-                ageHash: await calculatePoseidonHash(["25"]),
-                issuerPublicKey: fakeIssuerPublicKey,
-                minAge: "18"
-            };
+            // Generate proof with a credential signed by a different issuer
+            const fakeIssuerPrivateKey = Buffer.alloc(32, 7);
+            const circuitInputs = await generateCircuitInputs(25, { issuerPrivateKey: fakeIssuerPrivateKey });
             
             const { formattedProof, publicSignals } = await generateProof(circuitInputs);
+            const { issuerPublicKey, minAge, currentDate, nullifier } = contractArgs(publicSignals);
             
             await expect(
                 kycVerifier.verifyAgeProof(
                     formattedProof,
-                    publicSignals[0],
-                    publicSignals[1], // Untrusted issuer public key
-                    publicSignals[2]
+                    issuerPublicKey, // Untrusted issuer public key
+                    minAge,
+                    currentDate,
+                    nullifier
                 )
             ).to.be.revertedWithCustomError(kycVerifier, 'UntrustedIssuer');
         });
@@ -293,13 +403,34 @@ describe('KYC Age Verification System', function () {
             await expect(
                 kycVerifier.verifyAgeProof(
                     formattedProof,
-                    publicSignals[0],
-                    publicSignals[1],
-                    invalidMinAge
+                    contractArgs(publicSignals).issuerPublicKey,
+                    invalidMinAge,
+                    contractArgs(publicSignals).currentDate,
+                    contractArgs(publicSignals).nullifier
                 )
             ).to.be.revertedWith('Minimum age too low');
         });
         
+        it('Should reject proof computed at a stale date', async function () {
+            this.timeout(30000);
+            
+            // A proof from ten days ago is valid for the circuit but not for the contract
+            const circuitInputs = await generateCircuitInputs(TEST_AGES.VALID_ADULT);
+            circuitInputs.currentDate = toDate(((await time.latest()) - 10 * 24 * 60 * 60) * 1000).toString();
+            const { formattedProof, publicSignals } = await generateProof(circuitInputs);
+            const { issuerPublicKey, minAge, currentDate, nullifier } = contractArgs(publicSignals);
+            
+            await expect(
+                kycVerifier.verifyAgeProof(
+                    formattedProof,
+                    issuerPublicKey,
+                    minAge,
+                    currentDate,
+                    nullifier
+                )
+            ).to.be.revertedWithCustomError(kycVerifier, 'InvalidDate');
+        });
+        
         it('Should reject malformed proof', async function () {
             const age = TEST_AGES.VALID_ADULT;
             const circuitInputs = await generateCircuitInputs(age);
@@ -311,14 +442,136 @@ describe('KYC Age Verification System', function () {
             await expect(
                 kycVerifier.verifyAgeProof(
                     invalidProof,
-                    publicSignals[0],
-                    publicSignals[1],
-                    publicSignals[2]
+                    contractArgs(publicSignals).issuerPublicKey,
+                    contractArgs(publicSignals).minAge,
+                    contractArgs(publicSignals).currentDate,
+                    contractArgs(publicSignals).nullifier
                 )
             ).to.be.revertedWithCustomError(kycVerifier, 'InvalidProof');
         });
     });
     
+    describe('Credential Policies', function () {
+        const SANCTIONED = [408, 364]; // North Korea, Iran
+        
+        it('Should reject an expired credential', async function () {
+            this.timeout(30000);
+            
+            const attributes = await chainAttributes(TEST_AGES.VALID_ADULT, { expiry: await chainDate() });
+            const circuitInputs = await generatePolicyInputs(attributes, POLICIES.AGE);
+            
+            await expectWitnessFailure(circuitInputs);
+        });
+        
+        it('Should let the owner set the sanctioned countries', async function () {
+            await expect(kycVerifier.setSanctionedCountries(SANCTIONED))
+                .to.emit(kycVerifier, 'SanctionedCountriesUpdated')
+                .withArgs(SANCTIONED);
+            
+            const countries = await kycVerifier.getSanctionedCountries();
+            expect(countries.map(Number)).to.deep.equal([...SANCTIONED, 0, 0, 0, 0, 0, 0]);
+            
+            await expect(
+                kycVerifier.connect(user1).setSanctionedCountries([])
+            ).to.be.revertedWith('Only owner can call this function');
+            await expect(
+                kycVerifier.setSanctionedCountries([1, 2, 3, 4, 5, 6, 7, 8, 9])
+            ).to.be.revertedWithCustomError(kycVerifier, 'TooManyCountries');
+        });
+        
+        it('Should verify a resident outside the sanctioned countries', async function () {
+            this.timeout(30000);
+            
+            const circuitInputs = await generatePolicyInputs(
+                await chainAttributes(TEST_AGES.VALID_ADULT),
+                POLICIES.SANCTIONS,
+                { blockedCountries: SANCTIONED, account: user1.address }
+            );
+            const { formattedProof, publicSignals } = await generateProof(circuitInputs);
+            const { issuerPublicKey, currentDate, nullifier } = contractArgs(publicSignals);
+            
+            await expect(
+                kycVerifier.connect(user1).verifySanctionsProof(formattedProof, issuerPublicKey, currentDate, nullifier)
+            ).to.emit(kycVerifier, 'SanctionsScreened')
+             .withArgs(user1.address, nullifier);
+            
+            expect(await kycVerifier.sanctionsCleared(user1.address)).to.be.true;
+        });
+        
+        it('Should reject a resident of a sanctioned country', async function () {
+            this.timeout(30000);
+            
+            const circuitInputs = await generatePolicyInputs(
+                await chainAttributes(TEST_AGES.VALID_ADULT, { country: SANCTIONED[1] }),
+                POLICIES.SANCTIONS,
+                { blockedCountries: SANCTIONED, account: user2.address }
+            );
+            
+            await expectWitnessFailure(circuitInputs);
+        });
+        
+        it('Should reject a sanctions proof against another country list', async function () {
+            this.timeout(30000);
+            
+            // Proven against an empty list, which every country passes
+            const circuitInputs = await generatePolicyInputs(
+                await chainAttributes(TEST_AGES.VALID_ADULT, { country: SANCTIONED[0] }),
+                POLICIES.SANCTIONS,
+                { account: user2.address }
+            );
+            const { formattedProof, publicSignals } = await generateProof(circuitInputs);
+            const { issuerPublicKey, currentDate, nullifier } = contractArgs(publicSignals);
+            
+            await expect(
+                kycVerifier.connect(user2).verifySanctionsProof(formattedProof, issuerPublicKey, currentDate, nullifier)
+            ).to.be.revertedWithCustomError(kycVerifier, 'InvalidProof');
+        });
+        
+        it('Should verify an accredited investor', async function () {
+            this.timeout(30000);
+            
+            const circuitInputs = await generatePolicyInputs(
+                await chainAttributes(TEST_AGES.SENIOR, { accredited: 1 }),
+                POLICIES.ACCREDITED_INVESTOR,
+                { blockedCountries: SANCTIONED, account: user2.address }
+            );
+            const { formattedProof, publicSignals } = await generateProof(circuitInputs);
+            const { issuerPublicKey, currentDate, nullifier } = contractArgs(publicSignals);
+            
+            await expect(
+                kycVerifier.connect(user2).verifyAccreditedInvestorProof(formattedProof, issuerPublicKey, currentDate, nullifier)
+            ).to.emit(kycVerifier, 'AccreditationVerified')
+             .withArgs(user2.address, nullifier);
+            
+            expect(await kycVerifier.accreditedInvestors(user2.address)).to.be.true;
+        });
+        
+        it('Should reject a holder without accreditation', async function () {
+            this.timeout(30000);
+            
+            const circuitInputs = await generatePolicyInputs(
+                await chainAttributes(TEST_AGES.SENIOR),
+                POLICIES.ACCREDITED_INVESTOR,
+                { blockedCountries: SANCTIONED, account: attacker.address }
+            );
+            
+            await expectWitnessFailure(circuitInputs);
+        });
+        
+        it('Should not accept a proof for a weaker policy', async function () {
+            this.timeout(30000);
+            
+            // An age proof says nothing about accreditation or residence
+            const circuitInputs = await generateCircuitInputs(TEST_AGES.VALID_ADULT, { account: attacker.address });
+            const { formattedProof, publicSignals } = await generateProof(circuitInputs);
+            const { issuerPublicKey, currentDate, nullifier } = contractArgs(publicSignals);
+            
+            await expect(
+                kycVerifier.connect(attacker).verifyAccreditedInvestorProof(formattedProof, issuerPublicKey, currentDate, nullifier)
+            ).to.be.revertedWithCustomError(kycVerifier, 'InvalidProof');
+        });
+    });
+    
     describe('Security Tests', function () {
         it('Should not allow proof replay attacks', async function () {
             this.timeout(30000);
@@ -327,37 +580,143 @@ describe('KYC Age Verification System', function () {
             const age = TEST_AGES.VALID_ADULT;
             const circuitInputs = await generateCircuitInputs(age);
             const { formattedProof, publicSignals } = await generateProof(circuitInputs);
+            const { issuerPublicKey, minAge, currentDate, nullifier } = contractArgs(publicSignals);
             
-            // First verification should succeed
-            await kycVerifier.verifyAgeProof(
-                formattedProof,
-                publicSignals[0],
-                publicSignals[1],
-                publicSignals[2]
-            );
+            // The proof is bound to the owner, so a copy taken from the mempool
+            // fails for anyone else
+            await expect(
+                kycVerifier.connect(attacker).verifyAgeProof(formattedProof, issuerPublicKey, minAge, currentDate, nullifier)
+            ).to.be.revertedWithCustomError(kycVerifier, 'InvalidProof');
             
-            // Same proof should work again (but for same user, updates their hash)
-            await kycVerifier.verifyAgeProof(
-                formattedProof,
-                publicSignals[0],
-                publicSignals[1],
-                publicSignals[2]
-            );
+            // Verification by the owner should succeed
+            await kycVerifier.verifyAgeProof(formattedProof, issuerPublicKey, minAge, currentDate, nullifier);
             
-            // Verify the user is still verified with updated hash
+            // Same proof should work again for the same user
+            await kycVerifier.verifyAgeProof(formattedProof, issuerPublicKey, minAge, currentDate, nullifier);
             expect(await kycVerifier.isUserVerified(owner.address)).to.be.true;
         });
         
-        it('Should handle edge case with zero age hash', async function () {
-            const zeroHash = "0";
+        it('Should let a credential verify only one account', async function () {
+            this.timeout(60000);
+            
+            const attributes = await chainAttributes(TEST_AGES.VALID_ADULT, { holderSecret: '987654321' });
+            
+            const first = await generateProof(await generatePolicyInputs(attributes, POLICIES.AGE, { account: user1.address }));
+            const firstArgs = contractArgs(first.publicSignals);
+            await kycVerifier.connect(user1).verifyAgeProof(
+                first.formattedProof,
+                firstArgs.issuerPublicKey,
+                firstArgs.minAge,
+                firstArgs.currentDate,
+                firstArgs.nullifier
+            );
+            expect(await kycVerifier.usedNullifiers(firstArgs.nullifier)).to.equal(user1.address);
+            
+            // A valid proof of the same credential for another account has the same nullifier
+            const second = await generateProof(await generatePolicyInputs(attributes, POLICIES.AGE, { account: attacker.address }));
+            const secondArgs = contractArgs(second.publicSignals);
+            expect(secondArgs.nullifier).to.equal(firstArgs.nullifier);
+            
+            await expect(
+                kycVerifier.connect(attacker).verifyAgeProof(
+                    second.formattedProof,
+                    secondArgs.issuerPublicKey,
+                    secondArgs.minAge,
+                    secondArgs.currentDate,
+                    secondArgs.nullifier
+                )
+            ).to.be.revertedWithCustomError(kycVerifier, 'NullifierAlreadyUsed');
+        });
+        
+        it('Should not link one credential across scopes', async function () {
+            this.timeout(60000);
+            
+            const attributes = await chainAttributes(TEST_AGES.VALID_ADULT, { holderSecret: '192837465' });
+            const credential = await generateCredential(attributes);
+            
+            // The same credential used by two accounts in two apps
+            const inApp = await generateProof(await generatePolicyInputs(attributes, POLICIES.AGE, {
+                account: user1.address,
+                scope: 1
+            }));
+            const inOtherApp = await generateProof(await generatePolicyInputs(attributes, POLICIES.AGE, {
+                account: user2.address,
+                verifierAddress: await verifier.getAddress(),
+                scope: 2
+            }));
+            
+            // Only the issuer, policy, currentDate, minAge, blockedCountries and
+            // chainId may match; see contractArgs for the order
+            const FIXED_SIGNALS = [1, 2, 3, 4, 5, ...Array.from({ length: MAX_BLOCKED_COUNTRIES }, (_, i) => 6 + i), 15];
+            inApp.publicSignals.forEach((signal, i) => {
+                if (FIXED_SIGNALS.includes(i)) {
+                    expect(inOtherApp.publicSignals[i]).to.equal(signal);
+                } else {
+                    expect(inOtherApp.publicSignals[i], `public signal ${i}`).to.not.equal(signal);
+                }
+            });
+            
+            // Neither proof reveals a value derived from the credential but its nullifier
+            for (const { publicSignals } of [inApp, inOtherApp]) {
+                expect(publicSignals).to.not.include(credential.credentialHash);
+                expect(publicSignals).to.not.include(credential.holderCommitment);
+                expect(publicSignals).to.not.include(credential.holderSecret);
+            }
+        });
+        
+        it('Should keep nullifiers out of the issuer\'s reach', async function () {
+            this.timeout(60000);
+            
+            const holderSecret = randomHolderSecret();
+            const attributes = await chainAttributes(TEST_AGES.VALID_ADULT, { holderSecret });
+            const { nullifier } = contractArgs((await generateProof(await generatePolicyInputs(attributes, POLICIES.AGE))).publicSignals);
+            expect(nullifier).to.equal(await calculatePoseidonHash([holderSecret, (await generateCredential(attributes)).credentialHash, DEFAULT_SCOPE]));
+            
+            // Everything the issuer receives and produces for this credential
+            const { dateOfBirth, country, accredited, expiry } = attributes;
+            const request = { dateOfBirth, country, accredited, expiry, holderCommitment: await calculatePoseidonHash([holderSecret]) };
+            const issued = await issueCredential(request);
+            const issuerView = [...Object.values(request), ...Object.values(issued).flat()].map(String);
+            expect(issuerView).to.not.include(holderSecret);
+            
+            // No value the issuer holds stands in for holderSecret in the nullifier
+            for (const guess of issuerView) {
+                expect(await calculatePoseidonHash([guess, issued.credentialHash, DEFAULT_SCOPE])).to.not.equal(nullifier);
+            }
+            
+            // Nor can the issuer prove with the credential without the preimage
+            const circuitInputs = await generatePolicyInputs(attributes, POLICIES.AGE);
+            circuitInputs.holderSecret = issued.holderCommitment;
+            await expectWitnessFailure(circuitInputs);
+        });
+        
+        it('Should reject a proof bound to another chain or contract', async function () {
+            this.timeout(60000);
+            
+            const otherChain = await generateCircuitInputs(TEST_AGES.VALID_ADULT, { chainId: 1 });
+            const otherContract = await generateCircuitInputs(TEST_AGES.VALID_ADULT, { verifierAddress: await verifier.getAddress() });
+            
+            for (const circuitInputs of [otherChain, otherContract]) {
+                const { formattedProof, publicSignals } = await generateProof(circuitInputs);
+                const { issuerPublicKey, minAge, currentDate, nullifier } = contractArgs(publicSignals);
+                
+                await expect(
+                    kycVerifier.verifyAgeProof(formattedProof, issuerPublicKey, minAge, currentDate, nullifier)
+                ).to.be.revertedWithCustomError(kycVerifier, 'InvalidProof');
+            }
+        });
+        
+        it('Should handle edge case with zero nullifier', async function () {
+            const zeroNullifier = "0";
             const validProof = [1, 2, 3, 4, 5, 6, 7, 8]; // This will fail verification
             
             await expect(
                 kycVerifier.verifyAgeProof(
                     validProof,
-                    zeroHash,
                     mockIssuerPublicKey,
-                    MIN_AGE
+                    MIN_AGE,
+                    await chainDate(),
+                    zeroNullifier
                 )
             ).to.be.revertedWithCustomError(kycVerifier, 'InvalidProof');
         });
@@ -370,30 +729,17 @@ describe('KYC Age Verification System', function () {
             const ages = [25, 30, 45];
             const users = [user1.address, user2.address, attacker.address];
             
+            // Generate proofs for all users, each bound to its user
             const proofs = [];
-            const ageHashes = [];
-            const issuerPublicKeys = [];
-            const minAges = [];
-            
-            // Generate proofs for all users
-            for (const age of ages) {
-                const circuitInputs = await generateCircuitInputs(age);
+            for (let i = 0; i < ages.length; i++) {
+                const circuitInputs = await generateCircuitInputs(ages[i], { account: users[i] });
                 const { formattedProof, publicSignals } = await generateProof(circuitInputs);
                 
-                proofs.push(formattedProof);
-                ageHashes.push(publicSignals[0]);
-                issuerPublicKeys.push(publicSignals[1]);
-                minAges.push(publicSignals[2]);
+                proofs.push({ proof: formattedProof, ...contractArgs(publicSignals), user: users[i] });
             }
             
             // Execute batch verification
-            const results = await kycVerifier.batchVerifyAgeProofs(
-                proofs,
-                ageHashes,
-                issuerPublicKeys,
-                minAges,
-                users
-            );
+            const results = await kycVerifier.batchVerifyAgeProofs.staticCall(proofs);
             
             // All should succeed
             expect(results).to.have.lengthOf(3);
@@ -407,20 +753,24 @@ describe('KYC Age Verification System', function () {
             
             // One valid proof and one invalid (untrusted issuer)
             const validAge = 25;
-            const validInputs = await generateCircuitInputs(validAge);
+            const validInputs = await generateCircuitInputs(validAge, { account: user1.address });
             const { formattedProof: validProof, publicSignals: validSignals } = await generateProof(validInputs);
             
             const invalidProof = [1, 2, 3, 4, 5, 6, 7, 8];
-            const invalidHash = "123";
-            const untrustedIssuer = "777777777777777777777777777777777777777777777777777777777777777777";
-            
-            const results = await kycVerifier.batchVerifyAgeProofs(
-                [validProof, invalidProof],
-                [validSignals[0], invalidHash],
-                [validSignals[1], untrustedIssuer],
-                [validSignals[2], MIN_AGE],
-                [user1.address, user2.address]
-            );
+            const invalidNullifier = "123";
+            const untrustedIssuer = issuerPublicKeyOf(Buffer.alloc(32, 7));
+            
+            const results = await kycVerifier.batchVerifyAgeProofs.staticCall([
+                { proof: validProof, ...contractArgs(validSignals), user: user1.address },
+                {
+                    proof: invalidProof,
+                    issuerPublicKey: untrustedIssuer,
+                    minAge: MIN_AGE,
+                    currentDate: await chainDate(),
+                    nullifier: invalidNullifier,
+                    user: user2.address
+                }
+            ]);
             
             expect(results[0]).to.be.true;  // Valid proof
             expect(results[1]).to.be.false; // Invalid proof
@@ -433,17 +783,40 @@ describe('KYC Age Verification System', function () {
             
             // Unverified user
             expect(await kycVerifier.isUserVerified(randomUser.address)).to.be.false;
-            expect(await kycVerifier.getUserAgeHash(randomUser.address)).to.equal(0);
             
             // Verified user (from previous tests)
             expect(await kycVerifier.isUserVerified(user1.address)).to.be.true;
-            expect(await kycVerifier.getUserAgeHash(user1.address)).to.not.equal(0);
+        });
+        
+        it('Should not store credential hashes per user', async function () {
+            // getUserAgeHash is deprecated and reverts, even for verified users
+            await expect(kycVerifier.getUserAgeHash(user1.address))
+                .to.be.revertedWithCustomError(kycVerifier, 'Deprecated');
+            await expect(kycVerifier.getUserAgeHash(ethers.Wallet.createRandom().address))
+                .to.be.revertedWithCustomError(kycVerifier, 'Deprecated');
+        });
+        
+        it('Should stop counting verifications after VERIFICATION_PERIOD', async function () {
+            const snapshot = await takeSnapshot();
+            const verifiedAt = await kycVerifier.ageVerifiedAt(user1.address);
+            const period = await kycVerifier.VERIFICATION_PERIOD();
+            expect(verifiedAt).to.be.greaterThan(0);
+            
+            await time.increaseTo(verifiedAt + period - 1n);
+            expect(await kycVerifier.isUserVerified(user1.address)).to.be.true;
+            
+            // The credential may have expired since, so the user must prove again
+            await time.increaseTo(verifiedAt + period);
+            expect(await kycVerifier.isUserVerified(user1.address)).to.be.false;
+            expect(await kycVerifier.ageVerifiedAt(user1.address)).to.equal(verifiedAt);
+            
+            await snapshot.restore();
         });
         
         it('Should correctly report trusted issuer status', async function () {
             expect(await kycVerifier.isTrustedIssuer(mockIssuerPublicKey)).to.be.true;
             
-            const randomKey = "555555555555555555555555555555555555555555555555555555555555555555";
+            const randomKey = issuerPublicKeyOf(Buffer.alloc(32, 5));
             expect(await kycVerifier.isTrustedIssuer(randomKey)).to.be.false;
         });
     });
@@ -452,48 +825,39 @@ describe('KYC Age Verification System', function () {
         it('Should handle underage proof generation (circuit should fail)', async function () {
             this.timeout(30000);
             
-            try {
-                const age = TEST_AGES.UNDERAGE; // 17
-                const circuitInputs = await generateCircuitInputs(age);
-                
-                // This should fail because age < minAge in the circuit
-                await generateProof(circuitInputs);
-                
-                // If we reach here, the circuit didn't properly enforce age constraint
-                expect.fail('Circuit should have failed for underage user');
-                
-            } catch (error) {
-                // Expected behavior - circuit rejects underage proof
-                expect(error.message).to.include('Error'); // snarkjs throws error for unsatisfied constraints
-                console.log('✅ Circuit correctly rejected underage proof');
-            }
+            // Turned 17 today: currentDate < dateOfBirth + minAge * 10000
+            const age = TEST_AGES.UNDERAGE; // 17
+            const circuitInputs = await generateCircuitInputs(age);
+            
+            await expectWitnessFailure(circuitInputs);
         });
         
         it('Should handle wrong signature in circuit', async function () {
             this.timeout(30000);
             
-            try {
-                const age = TEST_AGES.VALID_ADULT;
-                const credential = await generateAgeCredential(age);
-                
-                // Use wrong signature
-                const circuitInputs = {
-                    age: age.toString(),
-                    signature: "999999999999999999999999999999999999999999999999999999999999999999", // Wrong signature
-                    issuerPrivateKey: mockIssuerPrivateKey,
-                    ageHash: credential.ageHash,
-                    issuerPublicKey: mockIssuerPublicKey,
-                    minAge: MIN_AGE.toString()
-                };
-                
-                await generateProof(circuitInputs);
-                expect.fail('Circuit should have failed for wrong signature');
-                
-            } catch (error) {
-                // Expected behavior - circuit rejects wrong signature
-                expect(error.message).to.include('Error');
-                console.log('✅ Circuit correctly rejected wrong signature');
-            }
+            const age = TEST_AGES.VALID_ADULT;
+            const circuitInputs = await generateCircuitInputs(age);
+            
+            // Use wrong signature
+            const [S, R8x, R8y] = circuitInputs.signature;
+            circuitInputs.signature = [(BigInt(S) + 1n).toString(), R8x, R8y];
+            
+            await expectWitnessFailure(circuitInputs);
+        });
+        
+        it('Should range check minAge and dates', async function () {
+            this.timeout(30000);
+            
+            // The sanctions policy checks neither, so only the range checks can fail
+            
+            // minAge must fit in 8 bits
+            const circuitInputs = await generatePolicyInputs(await chainAttributes(TEST_AGES.SENIOR), POLICIES.SANCTIONS);
+            circuitInputs.minAge = '256';
+            await expectWitnessFailure(circuitInputs);
+            
+            // Dates must fit in 27 bits, or the age comparator could overflow
+            const attributes = await chainAttributes(TEST_AGES.SENIOR, { dateOfBirth: 2 ** 27 });
+            await expectWitnessFailure(await generatePolicyInputs(attributes, POLICIES.SANCTIONS));
         });
     });
     
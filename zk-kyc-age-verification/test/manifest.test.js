@@ -0,0 +1,111 @@
+const { expect } = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const {
+    MANIFEST_FILE,
+    SOURCES,
+    ARTIFACTS,
+    sha256,
+    readManifest,
+    assertManifest
+} = require('../scripts/manifest');
+const { KYCProofGenerator } = require('../scripts/generate-proof');
+
+/**
+ * Build Manifest Tests
+ *
+ * Checks build/manifest.json against the current build, then copies the build
+ * to a scratch project, edits one file at a time and expects the checks used
+ * by generate-proof.js and deploy.js to refuse it.
+ */
+
+describe('Build Manifest', function () {
+    this.timeout(120000);
+
+    let manifest, root;
+
+    function tamper(file) {
+        fs.appendFileSync(path.join(root, file), '\n');
+    }
+
+    before(function () {
+        if (!fs.existsSync(MANIFEST_FILE)) {
+            throw new Error(`Required circuit file not found: ${MANIFEST_FILE}. Please run "npm run compile-circuit" first.`);
+        }
+        manifest = readManifest();
+    });
+
+    beforeEach(function () {
+        root = fs.mkdtempSync(path.join(os.tmpdir(), 'kyc-manifest-'));
+        for (const file of [MANIFEST_FILE, ...Object.values(SOURCES), ...Object.values(ARTIFACTS)]) {
+            fs.mkdirSync(path.join(root, path.dirname(file)), { recursive: true });
+            fs.copyFileSync(file, path.join(root, file));
+        }
+    });
+
+    afterEach(function () {
+        fs.rmSync(root, { recursive: true, force: true });
+    });
+
+    it('Should record every source and artifact of the build', async function () {
+        expect(manifest.circuit).to.equal('kyc');
+        expect(manifest.constraints).to.be.a('number');
+        expect(manifest.tools).to.have.all.keys('circom', 'snarkjs', 'circomlib', 'node');
+        expect(manifest.ptau.sha256).to.match(/^[0-9a-f]{64}$/);
+
+        for (const [name, file] of Object.entries(SOURCES)) {
+            expect(manifest.sources[name]).to.deep.equal({ file, sha256: await sha256(file) });
+        }
+        for (const [name, file] of Object.entries(ARTIFACTS)) {
+            expect(manifest.artifacts[name]).to.deep.equal({ file, sha256: await sha256(file) });
+        }
+
+        expect(await assertManifest()).to.deep.equal(manifest);
+    });
+
+    it('Should hash files as a stream', async function () {
+        const file = path.join(root, ARTIFACTS.zkey);
+        const expected = crypto.createHash('sha256').update(fs.readFileSync(file)).digest('hex');
+        expect(await sha256(file)).to.equal(expected);
+    });
+
+    it('Should refuse a proving key from another build', async function () {
+        await assertManifest(['wasm', 'zkey'], root);
+
+        tamper(ARTIFACTS.zkey);
+        await expect(assertManifest(['wasm', 'zkey'], root))
+            .to.be.rejectedWith(`Build does not match ${MANIFEST_FILE}: ${ARTIFACTS.zkey}.`);
+        // Checks limited to other artifacts are unaffected
+        await assertManifest(['verificationKey'], root);
+    });
+
+    it('Should refuse a deploy whose Verifier.sol or circuit has changed', async function () {
+        await assertManifest(undefined, root);
+
+        tamper(ARTIFACTS.verifier);
+        tamper(SOURCES.circuit);
+        await expect(assertManifest(undefined, root))
+            .to.be.rejectedWith(`${SOURCES.circuit}, ${ARTIFACTS.verifier}`);
+    });
+
+    it('Should refuse a build with a missing artifact', async function () {
+        fs.rmSync(path.join(root, ARTIFACTS.wasm));
+        await expect(assertManifest(['wasm', 'zkey'], root)).to.be.rejectedWith(ARTIFACTS.wasm);
+    });
+
+    it('Should stop the proof generator from using a tampered verification key', async function () {
+        tamper(ARTIFACTS.verificationKey);
+
+        const cwd = process.cwd();
+        process.chdir(root);
+        try {
+            const generator = new KYCProofGenerator();
+            await expect(generator.verifyProofLocally({}, []))
+                .to.be.rejectedWith(`Build does not match ${MANIFEST_FILE}: ${ARTIFACTS.verificationKey}.`);
+        } finally {
+            process.chdir(cwd);
+        }
+    });
+});
@@ -0,0 +1,117 @@
+const { expect } = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const snarkjs = require('snarkjs');
+const {
+    KNOWN_PTAU_HASHES,
+    requiredPower,
+    verifyKnownPtau,
+    findLocalPtau,
+    ensurePowersOfTau
+} = require('../scripts/ptau');
+
+/**
+ * Powers of Tau Tests
+ *
+ * Covers the ceremony size chosen for a circuit and the checks on local ptau
+ * files. Nothing here downloads; the fallback is a small development ptau.
+ */
+
+describe('Powers of Tau', function () {
+    this.timeout(120000);
+
+    let dir;
+
+    // A file named like a Hermez ptau whose contents are not the published one
+    function fakeHermez(power) {
+        const file = path.join(dir, `powersOfTau28_hez_final_${String(power).padStart(2, '0')}.ptau`);
+        fs.writeFileSync(file, crypto.randomBytes(1024));
+        return file;
+    }
+
+    beforeEach(function () {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'kyc-ptau-'));
+    });
+
+    afterEach(function () {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    describe('requiredPower', function () {
+        const circuit = (size) => ({ nConstraints: size - 3, nPubInputs: 2, nOutputs: 1 });
+
+        it('Should never ask for less than 2^8', function () {
+            expect(requiredPower(circuit(3))).to.equal(8);
+            expect(requiredPower(circuit(255))).to.equal(8);
+        });
+
+        it('Should leave room above the constraint and input count', function () {
+            expect(requiredPower(circuit(2 ** 13 - 1))).to.equal(13);
+            expect(requiredPower(circuit(2 ** 13))).to.equal(14);
+        });
+
+        it('Should fit the compiled KYC circuit', async function () {
+            const { nConstraints, nPubInputs, nOutputs } = await snarkjs.r1cs.info('./build/kyc.r1cs');
+            const power = requiredPower({ nConstraints, nPubInputs, nOutputs });
+            expect(2 ** power).to.be.above(nConstraints + nPubInputs + nOutputs);
+            expect(2 ** (power - 1)).to.be.at.most(nConstraints + nPubInputs + nOutputs);
+        });
+
+        it('Should refuse circuits larger than the largest known ceremony', function () {
+            expect(requiredPower(circuit(2 ** 27 - 1))).to.equal(27);
+            expect(() => requiredPower(circuit(2 ** 27))).to.throw('above the largest known ceremony (2^27)');
+        });
+    });
+
+    describe('Local files', function () {
+        it('Should know a hash for every supported power', function () {
+            expect(Object.keys(KNOWN_PTAU_HASHES).map(Number)).to.deep.equal(
+                Array.from({ length: 20 }, (_, i) => i + 8)
+            );
+        });
+
+        it('Should reject a file whose hash is not a known ptau', async function () {
+            const file = fakeHermez(14);
+            await expect(verifyKnownPtau(file, 14)).to.be.rejectedWith(`${file} is not a known powers of tau file`);
+            await expect(findLocalPtau(file, 14)).to.be.rejectedWith('is not a known powers of tau file');
+        });
+
+        it('Should reject a directory with no file large enough', async function () {
+            fakeHermez(12);
+            await expect(findLocalPtau(dir, 14))
+                .to.be.rejectedWith(`No powersOfTau28_hez_final_14.ptau or larger in ${dir}`);
+        });
+
+        it('Should check the file it finds in a directory', async function () {
+            fakeHermez(15);
+            await expect(findLocalPtau(dir, 14)).to.be.rejectedWith('is not a known powers of tau file');
+        });
+
+        it('Should not fall back to a development ptau when --ptau is wrong', async function () {
+            await expect(ensurePowersOfTau({ buildDir: dir, power: 8, source: dir, download: false }))
+                .to.be.rejectedWith('No powersOfTau28_hez_final_08.ptau or larger');
+            expect(fs.readdirSync(dir)).to.be.empty;
+        });
+    });
+
+    describe('Development fallback', function () {
+        it('Should generate a development ptau offline', async function () {
+            const ptau = await ensurePowersOfTau({ buildDir: dir, power: 8, download: false });
+            expect(ptau).to.deep.equal({
+                file: path.join(dir, 'pot8_dev_NOT_FOR_PRODUCTION.ptau'),
+                power: 8,
+                production: false
+            });
+            expect(fs.readdirSync(dir)).to.deep.equal(['pot8_dev_NOT_FOR_PRODUCTION.ptau']);
+            expect(await snarkjs.powersOfTau.verify(ptau.file)).to.be.true;
+        });
+
+        it('Should refuse an unknown file left in the build directory', async function () {
+            fakeHermez(9);
+            await expect(ensurePowersOfTau({ buildDir: dir, power: 8, download: false }))
+                .to.be.rejectedWith('is not a known powers of tau file');
+        });
+    });
+});
@@ -0,0 +1,280 @@
+#!/usr/bin/env node
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { ethers } = require('ethers');
+const { createNote, parseNote } = require('../scripts/note');
+const { fetchDeposits, getMerklePath } = require('../scripts/merkle-tree');
+const { generateProof, circuitDepth } = require('../scripts/generate-proof');
+const { toWithdrawArgs } = require('../scripts/calldata');
+const { createReport, verifyReport } = require('../scripts/compliance');
+
+const ROOT = path.join(__dirname, '..');
+const MIXER_ARTIFACT = path.join(ROOT, 'artifacts', 'contracts', 'Mixer.sol', 'Mixer.json');
+const DEPLOYMENTS_DIR = path.join(ROOT, 'deployments');
+// Mirrors the networks in hardhat.config.js.
+const NETWORKS = { localhost: 'http://127.0.0.1:8545' };
+const JOB_POLL_MS = 1000;
+const JOB_TIMEOUT_MS = 10 * 60 * 1000;
+
+const USAGE = `Usage: mixer <command> [options]
+
+Commands:
+  deposit                     Create a note and deposit into an ETH pool
+  withdraw <note> <recipient> Prove and withdraw a note to recipient
+  status <note>               Show whether a note is deposited and spent
+  report <note>               Write a signed disclosure report for a note
+  verify-report <file>        Check a disclosure report against the chain
+
+Options:
+  --network <name>     Network name (default: localhost)
+  --rpc <url>          JSON-RPC URL, overrides --network
+  --private-key <key>  Sending account (default: PRIVATE_KEY or the node's first account)
+  --mixer <address>    Pool to deposit into
+  --amount <eth>       Pick the pool of this denomination from deployments/<network>.json
+  --relayer <url>      Withdraw through this relayer instead of sending directly
+  --fee <eth>          Relayer fee (default: the relayer's minimum)
+  --build <dir>        Circuit artifacts matching the pool's tree depth (default: build)
+  --out <file>         Where deposit saves the note and report writes the report (default: stdout)`;
+
+class UsageError extends Error {}
+
+function loadMixerAbi() {
+  if (!fs.existsSync(MIXER_ARTIFACT)) throw new Error('Missing Mixer artifact. Run `npx hardhat compile`.');
+  return JSON.parse(fs.readFileSync(MIXER_ARTIFACT)).abi;
+}
+
+function resolveRpc({ network, rpc }) {
+  if (rpc) return rpc;
+  if (!NETWORKS[network]) throw new UsageError(`Unknown network ${network}; pass --rpc`);
+  return NETWORKS[network];
+}
+
+async function resolveSigner(provider, privateKey = process.env.PRIVATE_KEY) {
+  if (privateKey) return new ethers.Wallet(privateKey, provider);
+  return provider.getSigner(0);
+}
+
+// Address of the pool for `amount` (wei) in deployments/<network>.json.
+function poolFromDeployment(network, amount, dir = DEPLOYMENTS_DIR) {
+  const file = path.join(dir, `${network}.json`);
+  if (!fs.existsSync(file)) throw new Error(`No deployment for ${network}. Run scripts/deploy.js or pass --mixer.`);
+  const { contracts } = JSON.parse(fs.readFileSync(file));
+  const pool = contracts.pools.find((p) => BigInt(p.denomination) === amount);
+  if (!pool) throw new Error(`No ${ethers.formatEther(amount)} ETH pool on ${network}`);
+  return pool.address;
+}
+
+async function connectNote(noteString, runner) {
+  const note = await parseNote(noteString);
+  const { chainId } = await (runner.provider ?? runner).getNetwork();
+  if (chainId !== note.chainId) throw new Error(`Note is for chain ${note.chainId}, connected to ${chainId}`);
+  const mixer = new ethers.Contract(note.contractAddress, loadMixerAbi(), runner);
+  if ((await mixer.DEPOSIT_AMOUNT()) !== note.denomination) throw new Error('Note denomination does not match the pool');
+  return { note, mixer };
+}
+
+// Deposits a fresh note into the pool at `mixerAddress`. The note is handed
+// to `saveNote` before the transaction is sent: once the deposit is mined the
+// note is the only way to get the funds back, so it must not depend on the
+// receipt arriving.
+async function deposit({ signer, mixerAddress, saveNote = () => {} }) {
+  const mixer = new ethers.Contract(mixerAddress, loadMixerAbi(), signer);
+  const denomination = await mixer.DEPOSIT_AMOUNT();
+  const { chainId } = await signer.provider.getNetwork();
+  const note = await createNote({ chainId, denomination, contractAddress: mixerAddress });
+  await saveNote(note.noteString);
+
+  const receipt = await (await mixer.deposit(note.commitmentHex, { value: denomination })).wait();
+  const event = receipt.logs.map((l) => mixer.interface.parseLog(l)).find((e) => e?.name === 'Deposit');
+  if (!event) throw new Error(`Deposit tx ${receipt.hash} emitted no Deposit event; check the note with \`mixer status\``);
+  return {
+    note: note.noteString,
+    txHash: receipt.hash,
+    blockNumber: receipt.blockNumber,
+    leafIndex: Number(event.args.leafIndex)
+  };
+}
+
+async function status({ provider, noteString, cacheDir }) {
+  const { note, mixer } = await connectNote(noteString, provider);
+  const deposits = await fetchDeposits(mixer, { cacheDir });
+  const found = deposits.find((d) => BigInt(d.commitment) === note.commitment);
+  return {
+    mixer: note.contractAddress,
+    denomination: note.denomination,
+    commitment: note.commitmentHex,
+    nullifierHash: note.nullifierHashHex,
+    deposited: Boolean(found),
+    deposit: found ?? null,
+    spent: await mixer.nullifiers(note.nullifierHashHex)
+  };
+}
+
+async function relayerRequest(url, route, init) {
+  const res = await fetch(new URL(route, url), init);
+  const body = await res.json();
+  if (!res.ok) throw new Error(`Relayer: ${body.error || res.statusText}`);
+  return body;
+}
+
+// Polls the relayer until job `id` is confirmed or failed. Gives up after
+// `timeoutMs`, naming the job so it can be checked on later.
+async function waitForJob(url, id, { pollMs = JOB_POLL_MS, timeoutMs = JOB_TIMEOUT_MS } = {}) {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    const job = await relayerRequest(url, `/jobs/${id}`);
+    if (job.status === 'confirmed') return job;
+    if (job.status === 'failed') throw new Error(`Relayer: withdrawal failed${job.error ? `: ${job.error}` : ''}`);
+    if (Date.now() + pollMs > deadline) {
+      throw new Error(`Relayer: job ${id} still ${job.status} after ${timeoutMs / 1000}s; check ${new URL(`/jobs/${id}`, url)}`);
+    }
+    await new Promise((resolve) => setTimeout(resolve, pollMs));
+  }
+}
+
+// Withdraws `noteString` to `recipient`, either from `signer` or through the
+// relayer at `relayerUrl`. The relayer's address and fee are bound into the
+// proof, so they are fetched before proving.
+async function withdraw({ provider, signer, noteString, recipient, relayerUrl, fee, build, cacheDir, pollMs, timeoutMs }) {
+  recipient = ethers.getAddress(recipient);
+  const { note, mixer } = await connectNote(noteString, provider);
+  if (await mixer.nullifiers(note.nullifierHashHex)) throw new Error('Note has already been spent');
+  const levels = Number(await mixer.levels());
+  const depth = circuitDepth(build);
+  if (depth !== levels) throw new Error(`Pool has depth ${levels} but the circuit in ${build ?? 'build'} is for depth ${depth}; pass --build`);
+
+  let relayer = ethers.ZeroAddress;
+  if (relayerUrl) {
+    const info = await relayerRequest(relayerUrl, '/status');
+    if (ethers.getAddress(info.mixer) !== note.contractAddress) throw new Error(`Relayer serves mixer ${info.mixer}`);
+    relayer = info.relayer;
+    fee = fee ?? BigInt(info.minFee);
+  }
+  fee = fee ?? 0n;
+
+  const { root, pathElements, pathIndices } = await getMerklePath(mixer, note.commitment, { cacheDir });
+  const { proof, publicSignals } = await generateProof({
+    root: BigInt(root).toString(),
+    nullifier_hash: note.nullifierHash.toString(),
+    recipient: BigInt(recipient).toString(),
+    relayer: BigInt(relayer).toString(),
+    fee: fee.toString(),
+    refund: '0',
+    secret: note.secret.toString(),
+    nullifier: note.nullifier.toString(),
+    path_elements: pathElements.map(String),
+    path_indices: pathIndices
+  }, { build });
+
+  if (relayerUrl) {
+    const { id } = await relayerRequest(relayerUrl, '/relay', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ proof, publicSignals })
+    });
+    const job = await waitForJob(relayerUrl, id, { pollMs, timeoutMs });
+    return { recipient, relayer, fee, txHash: job.txHash, blockNumber: job.blockNumber };
+  }
+
+  const receipt = await (await mixer.connect(signer).withdraw(...toWithdrawArgs(proof, publicSignals))).wait();
+  return { recipient, relayer, fee, txHash: receipt.hash, blockNumber: receipt.blockNumber };
+}
+
+async function main(argv = process.argv.slice(2)) {
+  const { values: opts, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      network: { type: 'string', default: 'localhost' },
+      rpc: { type: 'string' },
+      'private-key': { type: 'string' },
+      mixer: { type: 'string' },
+      amount: { type: 'string' },
+      relayer: { type: 'string' },
+      fee: { type: 'string' },
+      out: { type: 'string' },
+      build: { type: 'string' },
+      help: { type: 'boolean', short: 'h' }
+    }
+  });
+  const [command, ...args] = positionals;
+  if (opts.help || !command) {
+    console.log(USAGE);
+    return;
+  }
+
+  const provider = new ethers.JsonRpcProvider(resolveRpc(opts));
+  try {
+    if (command === 'deposit') {
+      if (!opts.mixer && !opts.amount) throw new UsageError('deposit needs --mixer or --amount');
+      const mixerAddress = opts.mixer ?? poolFromDeployment(opts.network, ethers.parseEther(opts.amount));
+      const signer = await resolveSigner(provider, opts['private-key']);
+      const saveNote = (note) => {
+        if (opts.out) {
+          fs.writeFileSync(opts.out, `${note}\n`, { mode: 0o600, flag: 'wx' });
+          console.log(`Note written to ${opts.out}. Keep it secret, it is the only way to withdraw.`);
+        } else {
+          console.log('Keep this note secret, it is the only way to withdraw:');
+          console.log(note);
+        }
+      };
+      const result = await deposit({ signer, mixerAddress, saveNote });
+      console.log(`Deposited into ${mixerAddress} (leaf ${result.leafIndex}, tx ${result.txHash})`);
+    } else if (command === 'withdraw') {
+      if (args.length !== 2) throw new UsageError('withdraw needs <note> <recipient>');
+      const [noteString, recipient] = args;
+      const signer = opts.relayer ? null : await resolveSigner(provider, opts['private-key']);
+      const fee = opts.fee === undefined ? undefined : ethers.parseEther(opts.fee);
+      const result = await withdraw({ provider, signer, noteString, recipient, relayerUrl: opts.relayer, fee, build: opts.build });
+      console.log(`Withdrawn to ${result.recipient} in tx ${result.txHash}`);
+      if (result.fee > 0n) console.log(`Relayer ${result.relayer} fee: ${ethers.formatEther(result.fee)} ETH`);
+    } else if (command === 'status') {
+      if (args.length !== 1) throw new UsageError('status needs <note>');
+      const result = await status({ provider, noteString: args[0] });
+      console.log(`Pool:       ${result.mixer} (${ethers.formatEther(result.denomination)} ETH)`);
+      console.log(`Commitment: ${result.commitment}`);
+      console.log(`Deposited:  ${result.deposited ? `yes, leaf ${result.deposit.leafIndex} in block ${result.deposit.blockNumber}` : 'no'}`);
+      console.log(`Spent:      ${result.spent ? 'yes' : 'no'}`);
+    } else if (command === 'report') {
+      if (args.length !== 1) throw new UsageError('report needs <note>');
+      const { mixer } = await connectNote(args[0], provider);
+      const signer = await resolveSigner(provider, opts['private-key']);
+      const signed = await createReport({ mixer, noteString: args[0], signer });
+      const json = JSON.stringify(signed, null, 2);
+      if (opts.out) {
+        fs.writeFileSync(opts.out, json);
+        console.log(`Report signed by ${signed.signer} written to ${opts.out}`);
+      } else {
+        console.log(json);
+      }
+      if (!signed.report.withdrawal) console.error('Note is unspent; the report does not disclose its secret.');
+    } else if (command === 'verify-report') {
+      if (args.length !== 1) throw new UsageError('verify-report needs <file>');
+      const signed = JSON.parse(fs.readFileSync(args[0], 'utf8'));
+      const { valid, withdrawn, errors } = await verifyReport({ provider, signed });
+      if (!valid) throw new Error(`Report is invalid:\n  ${errors.join('\n  ')}`);
+      const { deposit: d, withdrawal: w } = signed.report;
+      console.log(`Report signed by ${signed.signer} is valid`);
+      console.log(`Deposit:    tx ${d.transactionHash}, block ${d.blockNumber}, ${new Date(d.timestamp * 1000).toISOString()}`);
+      console.log(w
+        ? `Withdrawal: tx ${w.transactionHash}, block ${w.blockNumber}, to ${w.recipient}`
+        : 'Withdrawal: none');
+      if (!withdrawn) console.error('Note is unspent; the report shows the deposit exists, not that the signer holds the note.');
+    } else {
+      throw new UsageError(`Unknown command ${command}`);
+    }
+  } finally {
+    provider.destroy();
+  }
+}
+
+if (require.main === module) {
+  // snarkjs keeps its curve worker threads alive, so exit explicitly.
+  main().then(() => process.exit(0), (e) => {
+    console.error(e instanceof UsageError ? `${e.message}\n\n${USAGE}` : e.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { deposit, withdraw, waitForJob, status, poolFromDeployment, main };
@@ -0,0 +1,44 @@
+pragma circom 2.1.4;
+
+include "node_modules/circomlib/circuits/poseidon.circom";
+
+// Swaps (in[0], in[1]) when s == 1 so the current node lands on the
+// side given by its path index.
+template DualMux() {
+    signal input in[2];
+    signal input s;
+    signal output out[2];
+
+    s * (1 - s) === 0;
+    out[0] <== (in[1] - in[0]) * s + in[0];
+    out[1] <== (in[0] - in[1]) * s + in[1];
+}
+
+// Poseidon Merkle inclusion proof. path_indices[i] == 0 means the node at
+// level i is a left child. Must match MerkleTreeWithHistory.sol.
+template MerkleTreeInclusionProof(levels) {
+    signal input leaf;
+    signal input root;
+    signal input pathElements[levels];
+    signal input pathIndices[levels];
+
+    component selectors[levels];
+    component hashers[levels];
+
+    for (var i = 0; i < levels; i++) {
+        selectors[i] = DualMux();
+        if (i == 0) {
+            selectors[i].in[0] <== leaf;
+        } else {
+            selectors[i].in[0] <== hashers[i - 1].out;
+        }
+        selectors[i].in[1] <== pathElements[i];
+        selectors[i].s <== pathIndices[i];
+
+        hashers[i] = Poseidon(2);
+        hashers[i].inputs[0] <== selectors[i].out[0];
+        hashers[i].inputs[1] <== selectors[i].out[1];
+    }
+
+    root === hashers[levels - 1].out;
+}
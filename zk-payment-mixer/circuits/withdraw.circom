@@ -1,19 +1,21 @@
 pragma circom 2.1.4;
 
 include "node_modules/circomlib/circuits/poseidon.circom";
-include "node_modules/circomlib/circuits/merkleTree.circom";
+include "merkleTree.circom";
 
 // Withdraw circuit: proves knowledge of (secret, nullifier) such that
 // commitment = Poseidon(secret, nullifier) is included in Merkle root `root`.
-// Public: root, nullifier_hash, recipient
+// Public: root, nullifier_hash, recipient, relayer, fee, refund
 // Private: secret, nullifier, path_elements, path_indices
-// Outputs: commitment
 
 template Withdraw(levels) {
     // Public inputs
     signal input root;              // Merkle root
     signal input nullifier_hash;    // Poseidon(nullifier)
     signal input recipient;         // recipient address as field element
+    signal input relayer;           // relayer address as field element, 0 if none
+    signal input fee;               // paid to relayer out of the deposit
+    signal input refund;            // ETH forwarded by the relayer to recipient
 
     // Private inputs
     signal input secret;
@@ -21,8 +23,8 @@ template Withdraw(levels) {
     signal input path_elements[levels];
     signal input path_indices[levels];
 
-    // Outputs
-    signal output commitment;       // Poseidon(secret, nullifier)
+    // Kept internal: exposing it would link the withdrawal to its deposit.
+    signal commitment;              // Poseidon(secret, nullifier)
 
     // Hash commitment
     component hashCommit = Poseidon(2);
@@ -45,10 +47,18 @@ template Withdraw(levels) {
         inc.pathIndices[i] <== path_indices[i];
     }
 
-    // Bind recipient as a public input without constraints besides presence.
-    // This prevents recipient tampering post-proof.
-    recipient === recipient; // no-op to mark usage
+    // Public inputs that appear in no other constraint can be optimised away,
+    // which would let anyone swap them after proving. Squaring each one adds
+    // a real constraint so the proof is bound to these exact values.
+    signal recipientSquare;
+    signal relayerSquare;
+    signal feeSquare;
+    signal refundSquare;
+    recipientSquare <== recipient * recipient;
+    relayerSquare <== relayer * relayer;
+    feeSquare <== fee * fee;
+    refundSquare <== refund * refund;
 }
 
-// Depth 20 tree
-component main { public [root, nullifier_hash, recipient] } = Withdraw(20);
+// No main component: scripts/compile-circuit.js generates one per tree depth,
+// e.g. `component main { public [...] } = Withdraw(20);`.
@@ -0,0 +1,54 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "./MixerBase.sol";
+
+// ERC-20 pool. Same tree, nullifiers and circuit as the ETH Mixer; only the
+// asset differs. The relayer may forward `refund` ETH to the recipient so a
+// fresh address can pay gas afterwards.
+contract ERC20Mixer is MixerBase {
+    using SafeERC20 for IERC20;
+
+    IERC20 public immutable token;
+
+    constructor(address _verifier, address _hasher, uint32 _levels, uint256 _denomination, IERC20 _token)
+        MixerBase(_verifier, _hasher, _levels, _denomination)
+    {
+        token = _token;
+    }
+
+    function _processDeposit() internal override {
+        require(msg.value == 0, "ETH not accepted");
+        uint256 balanceBefore = token.balanceOf(address(this));
+        token.safeTransferFrom(msg.sender, address(this), DEPOSIT_AMOUNT);
+        require(token.balanceOf(address(this)) - balanceBefore == DEPOSIT_AMOUNT, "Fee-on-transfer token not supported");
+    }
+
+    function _processWithdraw(address payable recipient, address payable relayer, uint256 fee, uint256 refund) internal override {
+        require(msg.value == refund, "Incorrect refund amount");
+
+        token.safeTransfer(recipient, DEPOSIT_AMOUNT - fee);
+        if (fee > 0) {
+            token.safeTransfer(relayer, fee);
+        }
+
+        if (refund > 0) {
+            (bool sent, ) = recipient.call{value: refund}("");
+            if (!sent) {
+                // Recipient cannot take ETH: give the refund back to the sender.
+                (bool returned, ) = payable(msg.sender).call{value: refund}("");
+                require(returned, "Refund failed");
+            }
+        }
+    }
+
+    function _emergencyWithdraw(address payable to) internal override {
+        token.safeTransfer(to, token.balanceOf(address(this)));
+    }
+
+    function getBalance() external view override returns (uint256) {
+        return token.balanceOf(address(this));
+    }
+}
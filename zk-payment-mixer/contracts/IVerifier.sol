@@ -0,0 +1,13 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+// Groth16 verifier for withdraw.circom, as exported by
+// `snarkjs zkey export solidityverifier` (see scripts/compile-circuit.js).
+interface IVerifier {
+    function verifyProof(
+        uint256[2] memory a,
+        uint256[2][2] memory b,
+        uint256[2] memory c,
+        uint256[6] memory input
+    ) external view returns (bool);
+}
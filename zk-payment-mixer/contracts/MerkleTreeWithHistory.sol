@@ -0,0 +1,116 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+interface IHasher {
+    function poseidon(uint256[2] calldata input) external pure returns (uint256);
+}
+
+// Incremental Poseidon Merkle tree mirroring MerkleTreeInclusionProof in
+// circuits/merkleTree.circom. Empty leaves are ZERO_VALUE and the empty node
+// of each level is Poseidon(zero, zero) of the level below.
+// Only the last ROOT_HISTORY_SIZE roots are kept, in a ring buffer, so root
+// lookups cost the same no matter how many deposits the pool has seen.
+abstract contract MerkleTreeWithHistory {
+    uint256 public constant FIELD_SIZE =
+        21888242871839275222246405745257275088548364400416034343698204186575808495617;
+    uint256 public constant ZERO_VALUE = 0;
+    uint32 public constant ROOT_HISTORY_SIZE = 30;
+
+    IHasher public immutable hasher;
+    uint32 public immutable levels;
+
+    mapping(uint256 => bytes32) public filledSubtrees; // level => last left node
+    mapping(uint256 => bytes32) public zeros;          // level => empty node
+    uint32 public nextIndex;
+
+    mapping(uint256 => bytes32) public roots; // ring buffer slot => root
+    uint32 public currentRootIndex;
+
+    event MerkleRootUpdated(bytes32 indexed root);
+
+    constructor(uint32 _levels, address _hasher) {
+        require(_levels > 0 && _levels < 32, "Invalid tree depth");
+        levels = _levels;
+        hasher = IHasher(_hasher);
+
+        bytes32 current = bytes32(ZERO_VALUE);
+        for (uint32 i = 0; i < _levels; i++) {
+            zeros[i] = current;
+            filledSubtrees[i] = current;
+            current = hashLeftRight(IHasher(_hasher), current, current);
+        }
+        roots[0] = current; // empty tree root
+        emit MerkleRootUpdated(current);
+    }
+
+    function hashLeftRight(IHasher _hasher, bytes32 left, bytes32 right) public pure returns (bytes32) {
+        require(uint256(left) < FIELD_SIZE, "Left out of field");
+        require(uint256(right) < FIELD_SIZE, "Right out of field");
+        return bytes32(_hasher.poseidon([uint256(left), uint256(right)]));
+    }
+
+    function _insert(bytes32 leaf) internal returns (uint32 index) {
+        index = nextIndex;
+        require(index < uint32(2) ** levels, "Merkle tree is full");
+
+        uint32 currentIndex = index;
+        bytes32 currentLevelHash = leaf;
+        bytes32 left;
+        bytes32 right;
+        for (uint32 i = 0; i < levels; i++) {
+            if (currentIndex % 2 == 0) {
+                left = currentLevelHash;
+                right = zeros[i];
+                filledSubtrees[i] = currentLevelHash;
+            } else {
+                left = filledSubtrees[i];
+                right = currentLevelHash;
+            }
+            currentLevelHash = hashLeftRight(hasher, left, right);
+            currentIndex /= 2;
+        }
+
+        nextIndex = index + 1;
+        _addRoot(currentLevelHash);
+    }
+
+    // Overwrites the oldest slot once the buffer is full.
+    function _addRoot(bytes32 root) internal {
+        require(root != bytes32(0), "Invalid root");
+        uint32 newIndex = (currentRootIndex + 1) % ROOT_HISTORY_SIZE;
+        currentRootIndex = newIndex;
+        roots[newIndex] = root;
+        emit MerkleRootUpdated(root);
+    }
+
+    function isValidRoot(bytes32 root) public view returns (bool) {
+        if (root == bytes32(0)) return false;
+        uint32 i = currentRootIndex;
+        do {
+            if (roots[i] == root) return true;
+            if (i == 0) i = ROOT_HISTORY_SIZE;
+            i--;
+        } while (i != currentRootIndex);
+        return false;
+    }
+
+    // Live window of roots, oldest first.
+    function getAllRoots() external view returns (bytes32[] memory) {
+        uint256 count;
+        for (uint32 i = 0; i < ROOT_HISTORY_SIZE; i++) {
+            if (roots[i] != bytes32(0)) count++;
+        }
+
+        bytes32[] memory result = new bytes32[](count);
+        uint256 n;
+        for (uint32 i = 1; i <= ROOT_HISTORY_SIZE; i++) {
+            bytes32 root = roots[(currentRootIndex + i) % ROOT_HISTORY_SIZE];
+            if (root != bytes32(0)) result[n++] = root;
+        }
+        return result;
+    }
+
+    function getCurrentRoot() public view returns (bytes32) {
+        return roots[currentRootIndex];
+    }
+}
@@ -0,0 +1,95 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/utils/Pausable.sol";
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "./MerkleTreeWithHistory.sol";
+import "./IVerifier.sol";
+
+// Deposit/withdraw logic shared by every pool type. Subclasses only decide
+// how the denomination moves in (_processDeposit) and out (_processWithdraw).
+abstract contract MixerBase is MerkleTreeWithHistory, ReentrancyGuard, Pausable, Ownable {
+    uint256 public immutable DEPOSIT_AMOUNT; // pool denomination
+
+    mapping(bytes32 => bool) public nullifiers; // nullifierHash => used
+    mapping(bytes32 => bool) public commitments; // commitment => exists
+
+    event Deposit(bytes32 indexed commitment, uint32 leafIndex, uint256 amount, uint256 timestamp);
+    event Withdrawal(address indexed recipient, address indexed relayer, uint256 amount, bytes32 nullifierHash, uint256 fee);
+
+    IVerifier public verifier;
+
+    // _levels must equal the depth the verifier's circuit was built for
+    // (`--depth` in scripts/compile-circuit.js).
+    constructor(address _verifier, address _hasher, uint32 _levels, uint256 _denomination)
+        MerkleTreeWithHistory(_levels, _hasher)
+        Ownable(msg.sender)
+    {
+        require(_denomination > 0, "Invalid denomination");
+        verifier = IVerifier(_verifier);
+        DEPOSIT_AMOUNT = _denomination;
+    }
+
+    function deposit(bytes32 commitment) external payable whenNotPaused nonReentrant {
+        require(!commitments[commitment], "Commitment exists");
+        uint32 leafIndex = _insert(commitment);
+        commitments[commitment] = true;
+        _processDeposit();
+        emit Deposit(commitment, leafIndex, DEPOSIT_AMOUNT, block.timestamp);
+    }
+
+    function withdraw(
+        uint256[2] calldata a,
+        uint256[2][2] calldata b,
+        uint256[2] calldata c,
+        bytes32 root,
+        bytes32 nullifierHash,
+        address payable recipient,
+        address payable relayer,
+        uint256 fee,
+        uint256 refund
+    ) external payable whenNotPaused nonReentrant {
+        require(recipient != address(0), "Invalid recipient");
+        require(fee <= DEPOSIT_AMOUNT, "Fee exceeds deposit");
+        require(fee == 0 || relayer != address(0), "Invalid relayer");
+        require(!nullifiers[nullifierHash], "Nullifier used");
+        require(isValidRoot(root), "Invalid root");
+
+        // Same order as the public signals of withdraw.circom.
+        uint256[6] memory inputs = [
+            uint256(root),
+            uint256(nullifierHash),
+            uint256(uint160(address(recipient))),
+            uint256(uint160(address(relayer))),
+            fee,
+            refund
+        ];
+        bool ok = verifier.verifyProof(a, b, c, inputs);
+        require(ok, "Invalid proof");
+
+        nullifiers[nullifierHash] = true;
+
+        // The relayer paid the gas, so it takes its fee out of the deposit.
+        _processWithdraw(recipient, relayer, fee, refund);
+        emit Withdrawal(recipient, relayer, DEPOSIT_AMOUNT - fee, nullifierHash, fee);
+    }
+
+    // Pull exactly DEPOSIT_AMOUNT from msg.sender.
+    function _processDeposit() internal virtual;
+
+    // Pay DEPOSIT_AMOUNT - fee to recipient and fee to relayer.
+    function _processWithdraw(address payable recipient, address payable relayer, uint256 fee, uint256 refund) internal virtual;
+
+    // Send every asset the pool holds to `to`.
+    function _emergencyWithdraw(address payable to) internal virtual;
+
+    function getBalance() external view virtual returns (uint256);
+
+    function pause() external onlyOwner { _pause(); }
+    function unpause() external onlyOwner { _unpause(); }
+
+    function emergencyWithdraw(address payable to) external onlyOwner {
+        _emergencyWithdraw(to);
+    }
+}
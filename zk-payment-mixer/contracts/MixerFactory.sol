@@ -0,0 +1,50 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "./Mixer.sol";
+
+// Deploys one Mixer per denomination, all sharing the same Verifier, Poseidon
+// hasher and tree depth, and keeps a registry of them. Ownership of each pool is
+// handed to the factory owner.
+contract MixerFactory is Ownable {
+    struct Pool {
+        address pool;
+        uint256 denomination;
+    }
+
+    address public immutable verifier;
+    address public immutable hasher;
+    uint32 public immutable levels;
+
+    Pool[] private pools;
+    mapping(uint256 => address) public poolByDenomination;
+
+    event PoolCreated(address indexed pool, uint256 denomination);
+
+    constructor(address _verifier, address _hasher, uint32 _levels) Ownable(msg.sender) {
+        verifier = _verifier;
+        hasher = _hasher;
+        levels = _levels;
+    }
+
+    function createPool(uint256 denomination) external onlyOwner returns (address) {
+        require(poolByDenomination[denomination] == address(0), "Pool exists");
+
+        Mixer mixer = new Mixer(verifier, hasher, levels, denomination);
+        mixer.transferOwnership(owner());
+
+        pools.push(Pool(address(mixer), denomination));
+        poolByDenomination[denomination] = address(mixer);
+        emit PoolCreated(address(mixer), denomination);
+        return address(mixer);
+    }
+
+    function poolCount() external view returns (uint256) {
+        return pools.length;
+    }
+
+    function getPools() external view returns (Pool[] memory) {
+        return pools;
+    }
+}
@@ -0,0 +1,18 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./MockERC20.sol";
+
+// Burns 1% of every transfer, so receivers get less than `amount`.
+contract FeeOnTransferToken is MockERC20 {
+    constructor() MockERC20("Fee Token", "FEE") {}
+
+    function _update(address from, address to, uint256 value) internal override {
+        if (from != address(0) && to != address(0)) {
+            uint256 burned = value / 100;
+            super._update(from, address(0), burned);
+            value -= burned;
+        }
+        super._update(from, to, value);
+    }
+}
@@ -1,14 +1,15 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.20;
 
-contract Verifier {
+// Accepts every proof. Only for testing pool mechanics without circuit
+// artifacts; never deploy it.
+contract MockVerifier {
     function verifyProof(
         uint256[2] memory /*a*/,
         uint256[2][2] memory /*b*/,
         uint256[2] memory /*c*/,
-        uint256[3] memory /*input*/
+        uint256[6] memory /*input*/
     ) external pure returns (bool) {
-        // Placeholder: replace with snarkjs-generated verifier.
         return true;
     }
 }
@@ -0,0 +1,77 @@
+const { Interface, getAddress, toBeHex } = require('ethers');
+const { PUBLIC_SIGNALS } = require('./generate-proof');
+
+// Same signature as MixerBase.withdraw, so calldata can be built without the
+// compiled artifacts.
+const WITHDRAW_ABI = [
+  'function withdraw(uint256[2] a, uint256[2][2] b, uint256[2] c, bytes32 root, bytes32 nullifierHash, address recipient, address relayer, uint256 fee, uint256 refund) payable'
+];
+const withdrawInterface = new Interface(WITHDRAW_ABI);
+
+// snarkjs stores each G2 coordinate as [c0, c1]; the generated verifier
+// expects [c1, c0], so pi_b is swapped here and swapped back in
+// fromSolidityProof.
+function toSolidityProof(proof) {
+  return {
+    a: [proof.pi_a[0], proof.pi_a[1]],
+    b: [[proof.pi_b[0][1], proof.pi_b[0][0]], [proof.pi_b[1][1], proof.pi_b[1][0]]],
+    c: [proof.pi_c[0], proof.pi_c[1]]
+  };
+}
+
+function fromSolidityProof({ a, b, c }) {
+  const str = (v) => BigInt(v).toString();
+  return {
+    pi_a: [str(a[0]), str(a[1]), '1'],
+    pi_b: [[str(b[0][1]), str(b[0][0])], [str(b[1][1]), str(b[1][0])], ['1', '0']],
+    pi_c: [str(c[0]), str(c[1]), '1'],
+    protocol: 'groth16',
+    curve: 'bn128'
+  };
+}
+
+// Arguments for Mixer.withdraw, in order, from a snarkjs proof and its public
+// signals.
+function toWithdrawArgs(proof, publicSignals) {
+  if (!Array.isArray(publicSignals) || publicSignals.length !== PUBLIC_SIGNALS.length) {
+    throw new Error(`Expected ${PUBLIC_SIGNALS.length} public signals`);
+  }
+  const input = Object.fromEntries(PUBLIC_SIGNALS.map((name, i) => [name, BigInt(publicSignals[i])]));
+  const { a, b, c } = toSolidityProof(proof);
+  return [
+    a, b, c,
+    toBeHex(input.root, 32),
+    toBeHex(input.nullifier_hash, 32),
+    getAddress(toBeHex(input.recipient, 20)),
+    getAddress(toBeHex(input.relayer, 20)),
+    input.fee,
+    input.refund
+  ];
+}
+
+function fromWithdrawArgs([a, b, c, root, nullifierHash, recipient, relayer, fee, refund]) {
+  return {
+    proof: fromSolidityProof({ a, b, c }),
+    publicSignals: [root, nullifierHash, recipient, relayer, fee, refund].map((v) => BigInt(v).toString())
+  };
+}
+
+function encodeWithdrawCalldata(proof, publicSignals) {
+  return withdrawInterface.encodeFunctionData('withdraw', toWithdrawArgs(proof, publicSignals));
+}
+
+// Reverses encodeWithdrawCalldata. Throws if `data` is not a withdraw call.
+function decodeWithdrawCalldata(data) {
+  const args = withdrawInterface.decodeFunctionData('withdraw', data).toArray(true);
+  return { args, ...fromWithdrawArgs(args) };
+}
+
+module.exports = {
+  WITHDRAW_ABI,
+  toSolidityProof,
+  fromSolidityProof,
+  toWithdrawArgs,
+  fromWithdrawArgs,
+  encodeWithdrawCalldata,
+  decodeWithdrawCalldata
+};
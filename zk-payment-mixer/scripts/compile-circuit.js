@@ -1,42 +1,133 @@
 const path = require('path');
 const fs = require('fs');
+const crypto = require('crypto');
+const { parseArgs } = require('util');
 const { execSync } = require('child_process');
+const snarkjs = require('snarkjs');
 
-async function ensurePot12(build) {
-  const potFinal = path.join(build, 'pot12_final.ptau');
-  if (fs.existsSync(potFinal)) return;
-  console.log('> Preparing powers of tau (bn128, 12)');
-  execSync(`snarkjs powersoftau new bn128 12 ${path.join(build,'pot12_0000.ptau')} -v`, { stdio: 'inherit' });
-  execSync(`snarkjs powersoftau contribute ${path.join(build,'pot12_0000.ptau')} ${path.join(build,'pot12_0001.ptau')} --name="contrib1" -v`, { stdio: 'inherit' });
-  execSync(`snarkjs powersoftau prepare phase2 ${path.join(build,'pot12_0001.ptau')} ${potFinal} -v`, { stdio: 'inherit' });
-  execSync(`snarkjs powersoftau verify ${potFinal}`, { stdio: 'inherit' });
+const ROOT = path.join(__dirname, '..');
+const BUILD = path.join(ROOT, 'build');
+const CIRCUIT = 'circuits/withdraw.circom'; // relative to ROOT, which circom gets via -l
+const { PUBLIC_SIGNALS } = require('./generate-proof');
+const { verifyZkey } = require('./ceremony');
+const { writeManifest } = require('./manifest');
+const { requiredPower, resolvePtau } = require('./ptau');
+const DEFAULT_DEPTH = 20;
+
+// Random entropy so contributions run unattended instead of prompting.
+const entropy = () => crypto.randomBytes(32).toString('hex');
+
+// Powers of tau size for the circuit, from its r1cs header.
+async function potPowerFor(r1csFile) {
+  const { nConstraints, nPubInputs, nOutputs } = await snarkjs.r1cs.info(r1csFile, { info() {} });
+  return { power: requiredPower({ nConstraints, nPubInputs, nOutputs }), nConstraints };
+}
+
+// withdraw.circom only defines the template; each configuration gets its
+// own main component.
+function writeMain(out, depth) {
+  const file = path.join(out, 'withdraw.circom');
+  fs.writeFileSync(file, [
+    'pragma circom 2.1.4;',
+    '',
+    `include "${CIRCUIT}";`,
+    '',
+    `component main { public [${PUBLIC_SIGNALS.join(', ')}] } = Withdraw(${depth});`,
+    ''
+  ].join('\n'));
+  return file;
+}
+
+// snarkjs names the contract Groth16Verifier; Mixer deployments expect
+// Verifier. The depth comment is what scripts/deploy.js reads back.
+function installVerifier(generated, target, depth) {
+  const source = fs.readFileSync(generated, 'utf8').replace(
+    /contract Groth16Verifier\b/,
+    `// Generated by scripts/compile-circuit.js for Withdraw(${depth}).\ncontract Verifier`
+  );
+  if (!/contract Verifier\b/.test(source)) throw new Error(`Unexpected verifier contract in ${generated}`);
+  fs.writeFileSync(target, source);
+}
+
+function parseOptions(argv) {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      depth: { type: 'string', default: String(DEFAULT_DEPTH) },
+      out: { type: 'string' },
+      zkey: { type: 'string' },
+      ptau: { type: 'string', default: process.env.PTAU },
+      'skip-install': { type: 'boolean', default: false }
+    }
+  });
+  const depth = Number(values.depth);
+  // MerkleTreeWithHistory accepts 1..31 levels.
+  if (!Number.isInteger(depth) || depth < 1 || depth > 31) throw new Error(`Invalid --depth ${values.depth}`);
+  return {
+    depth,
+    out: path.resolve(values.out ?? BUILD),
+    zkey: values.zkey && path.resolve(values.zkey),
+    ptau: values.ptau && path.resolve(values.ptau),
+    install: !values['skip-install']
+  };
 }
 
-async function main() {
-  const build = path.join(__dirname, '..', 'build');
-  const circuitsDir = path.join(__dirname, '..', 'circuits');
-  if (!fs.existsSync(build)) fs.mkdirSync(build, { recursive: true });
+// Builds r1cs, wasm, zkey, verification key and verifier for Withdraw(depth)
+// into `out`, records them in `out`/manifest.json, and installs the verifier
+// as contracts/Verifier.sol unless `install` is false. `ptau` is a Hermez
+// ptau or a directory of them (see scripts/ptau.js); without one, build/ is
+// searched and a development ptau is the fallback. Without `zkey` the proving
+// key gets a single development contribution; pass the final zkey of a
+// ceremony (scripts/ceremony.js) for anything that holds real funds.
+async function compile({ depth = DEFAULT_DEPTH, out = BUILD, zkey, ptau, install = true } = {}) {
+  fs.mkdirSync(out, { recursive: true });
+  fs.mkdirSync(BUILD, { recursive: true });
+  const file = (name) => path.join(out, name);
 
-  await ensurePot12(build);
+  console.log(`> Compiling Withdraw(${depth}) into ${out}`);
+  // -l lets `include "node_modules/circomlib/..."` resolve from the project root.
+  execSync(`circom ${writeMain(out, depth)} --r1cs --wasm --sym -l ${ROOT} --output ${out}`, { stdio: 'inherit' });
 
-  console.log('> Compiling circuit');
-  execSync(`circom ${path.join(circuitsDir,'withdraw.circom')} --r1cs --wasm --sym --output ${build}`, { stdio: 'inherit' });
+  const { power, nConstraints } = await potPowerFor(file('withdraw.r1cs'));
+  console.log(`> ${nConstraints} constraints, needs powers of tau 2^${power}`);
+  const { file: potFinal, production } = await resolvePtau({ source: ptau, dir: BUILD, power });
+  if (!production) console.log(`> ${path.basename(potFinal)} is a development ptau; keys built from it are NOT for production`);
 
-  console.log('> Groth16 setup');
-  execSync(`snarkjs groth16 setup ${path.join(build,'withdraw.r1cs')} ${path.join(build,'pot12_final.ptau')} ${path.join(build,'withdraw_0000.zkey')}`, { stdio: 'inherit' });
-  execSync(`snarkjs zkey contribute ${path.join(build,'withdraw_0000.zkey')} ${path.join(build,'withdraw_final.zkey')} --name="zk-payment-mixer" -v`, { stdio: 'inherit' });
-  execSync(`snarkjs zkey export verificationkey ${path.join(build,'withdraw_final.zkey')} ${path.join(build,'verification_key.json')}`, { stdio: 'inherit' });
-  execSync(`snarkjs zkey export solidityverifier ${path.join(build,'withdraw_final.zkey')} ${path.join(build,'Verifier.sol')}`, { stdio: 'inherit' });
+  if (zkey) {
+    if (!production) throw new Error('--zkey needs the Hermez ptau its ceremony used; pass --ptau');
+    console.log(`> Verifying ceremony zkey ${zkey}`);
+    const { valid, contributions } = await verifyZkey({ r1cs: file('withdraw.r1cs'), ptau: potFinal, zkey });
+    if (!valid) throw new Error(`${zkey} does not match this circuit and powers of tau`);
+    if (!contributions.length) throw new Error(`${zkey} has no contributions`);
+    fs.copyFileSync(zkey, file('withdraw_final.zkey'));
+  } else {
+    console.log('> Groth16 setup (single development contribution, not for production)');
+    execSync(`snarkjs groth16 setup ${file('withdraw.r1cs')} ${potFinal} ${file('withdraw_0000.zkey')}`, { stdio: 'inherit' });
+    // Through the API, so the entropy never appears in a command line.
+    await snarkjs.zKey.contribute(file('withdraw_0000.zkey'), file('withdraw_final.zkey'), 'development', entropy());
+  }
+  execSync(`snarkjs zkey export verificationkey ${file('withdraw_final.zkey')} ${file('verification_key.json')}`, { stdio: 'inherit' });
+  execSync(`snarkjs zkey export solidityverifier ${file('withdraw_final.zkey')} ${file('Groth16Verifier.sol')}`, { stdio: 'inherit' });
+  installVerifier(file('Groth16Verifier.sol'), file('Verifier.sol'), depth);
+  fs.rmSync(file('Groth16Verifier.sol'));
 
-  // copy Verifier
-  fs.copyFileSync(path.join(build,'Verifier.sol'), path.join(__dirname, '..', 'contracts', 'Verifier.sol'));
-  console.log('> Verifier.sol copied to contracts/Verifier.sol');
+  await writeManifest(out, {
+    circuit: { depth, constraints: nConstraints, potPower: power, publicSignals: PUBLIC_SIGNALS },
+    ptau: potFinal,
+    production
+  });
 
-  console.log('Done. Build artifacts in', build);
+  if (install) {
+    fs.copyFileSync(file('Verifier.sol'), path.join(ROOT, 'contracts', 'Verifier.sol'));
+    console.log(`> Withdraw(${depth}) verifier installed as contracts/Verifier.sol`);
+  }
+  console.log('Done. Build artifacts in', out);
+  return { out, depth, constraints: nConstraints, potPower: power, ptau: potFinal, production };
 }
 
 if (require.main === module) {
-  main().catch((e) => { console.error(e); process.exit(1); });
+  // snarkjs keeps its curve worker threads alive, so exit explicitly.
+  compile(parseOptions(process.argv.slice(2))).then(() => process.exit(0), (e) => { console.error(e); process.exit(1); });
 }
 
-module.exports = { main };
+module.exports = { DEFAULT_DEPTH, compile, parseOptions, potPowerFor, writeMain, installVerifier };
@@ -0,0 +1,184 @@
+const { ethers } = require('ethers');
+const { parseNote, computeCommitment, computeNullifierHash, toBytes32 } = require('./note');
+const { fetchDeposits } = require('./merkle-tree');
+
+const REPORT_VERSION = 1;
+const DEFAULT_BLOCK_CHUNK = 10000;
+
+function mixerEvent(mixer, receipt, name) {
+  return receipt.logs
+    .filter((l) => l.address.toLowerCase() === mixer.target.toLowerCase())
+    .map((l) => mixer.interface.parseLog(l))
+    .filter((e) => e?.name === name);
+}
+
+// Withdrawal event that spent `nullifierHash`, searching from `fromBlock`.
+// nullifierHash is not indexed, so events are filtered client-side.
+async function findWithdrawal(mixer, nullifierHash, { fromBlock = 0, blockChunk = DEFAULT_BLOCK_CHUNK } = {}) {
+  const provider = mixer.runner.provider ?? mixer.runner;
+  const latest = await provider.getBlockNumber();
+  for (let start = fromBlock; start <= latest; start += blockChunk) {
+    const events = await mixer.queryFilter(mixer.filters.Withdrawal(), start, Math.min(start + blockChunk - 1, latest));
+    const e = events.find((ev) => ev.args.nullifierHash === nullifierHash);
+    if (e) {
+      const block = await provider.getBlock(e.blockNumber);
+      return {
+        transactionHash: e.transactionHash,
+        blockNumber: e.blockNumber,
+        timestamp: block.timestamp,
+        recipient: e.args.recipient,
+        relayer: e.args.relayer,
+        amount: e.args.amount.toString(),
+        fee: e.args.fee.toString()
+      };
+    }
+  }
+  return null;
+}
+
+// Builds a disclosure report for `noteString` and signs it with `signer`.
+// The note's secret and nullifier are only disclosed once it has been spent,
+// since anyone holding them could otherwise withdraw the deposit.
+async function createReport({ mixer, noteString, signer, cacheDir }) {
+  const note = await parseNote(noteString);
+  const provider = mixer.runner.provider ?? mixer.runner;
+  const { chainId } = await provider.getNetwork();
+  if (chainId !== note.chainId) throw new Error(`Note is for chain ${note.chainId}, connected to ${chainId}`);
+  if (ethers.getAddress(await mixer.getAddress()) !== note.contractAddress) throw new Error('Note is for another mixer');
+
+  const deposit = (await fetchDeposits(mixer, { cacheDir })).find((d) => BigInt(d.commitment) === note.commitment);
+  if (!deposit) throw new Error(`Commitment ${note.commitmentHex} has not been deposited`);
+  const withdrawal = await findWithdrawal(mixer, note.nullifierHashHex, { fromBlock: deposit.blockNumber });
+
+  const report = {
+    version: REPORT_VERSION,
+    chainId: note.chainId.toString(),
+    mixer: note.contractAddress,
+    denomination: note.denomination.toString(),
+    commitment: note.commitmentHex,
+    nullifierHash: note.nullifierHashHex,
+    deposit: {
+      transactionHash: deposit.transactionHash,
+      blockNumber: deposit.blockNumber,
+      timestamp: deposit.timestamp,
+      leafIndex: deposit.leafIndex
+    },
+    withdrawal,
+    disclosure: withdrawal
+      ? { secret: note.secret.toString(), nullifier: note.nullifier.toString() }
+      : null,
+    createdAt: new Date().toISOString()
+  };
+  const signature = await signer.signMessage(JSON.stringify(report));
+  return { report, signer: await signer.getAddress(), signature };
+}
+
+const isObject = (v) => typeof v === 'object' && v !== null && !Array.isArray(v);
+const isHash = (v) => ethers.isHexString(v, 32);
+const isCount = (v) => Number.isSafeInteger(v) && v >= 0;
+const isUint = (v) => typeof v === 'string' && /^\d+$/.test(v);
+
+// Field errors of a signed version-1 report, so malformed JSON is reported
+// rather than thrown on.
+function shapeErrors(signed) {
+  if (!isObject(signed) || !isObject(signed.report)) return ['Report is not a signed report object'];
+  const { report } = signed;
+  const errors = [];
+  const check = (ok, field) => { if (!ok) errors.push(`Malformed field ${field}`); };
+  check(typeof signed.signature === 'string', 'signature');
+  check(ethers.isAddress(signed.signer), 'signer');
+  if (report.version !== REPORT_VERSION) return [...errors, `Unsupported report version ${report.version}`];
+
+  check(isUint(report.chainId), 'chainId');
+  check(ethers.isAddress(report.mixer), 'mixer');
+  check(isUint(report.denomination), 'denomination');
+  check(isHash(report.commitment), 'commitment');
+  check(isHash(report.nullifierHash), 'nullifierHash');
+  const d = report.deposit;
+  check(isObject(d) && isHash(d.transactionHash) && isCount(d.blockNumber) && isCount(d.timestamp) && isCount(d.leafIndex), 'deposit');
+  const w = report.withdrawal;
+  check(w === null || (isObject(w) && isHash(w.transactionHash) && isCount(w.blockNumber) && isCount(w.timestamp) &&
+    ethers.isAddress(w.recipient) && ethers.isAddress(w.relayer) && isUint(w.amount) && isUint(w.fee)), 'withdrawal');
+  const disclosure = report.disclosure;
+  check(disclosure === null || (isObject(disclosure) && isUint(disclosure.secret) && isUint(disclosure.nullifier)), 'disclosure');
+  return errors;
+}
+
+// Checks a signed report against chain data. Resolves to
+// { valid, withdrawn, errors }. A valid report with `withdrawn` false only
+// shows that the deposit exists: it discloses nothing that proves the signer
+// holds the note.
+async function verifyReport({ provider, signed }) {
+  const malformed = shapeErrors(signed);
+  if (malformed.length) return { valid: false, withdrawn: false, errors: malformed };
+
+  const errors = [];
+  const { report, signature } = signed;
+  const withdrawn = report.withdrawal !== null;
+  const result = () => ({ valid: errors.length === 0, withdrawn, errors });
+  const check = (ok, message) => { if (!ok) errors.push(message); };
+
+  let recovered;
+  try { recovered = ethers.verifyMessage(JSON.stringify(report), signature); } catch { recovered = null; }
+  check(recovered === ethers.getAddress(signed.signer), 'Signature does not match signer');
+
+  const { chainId } = await provider.getNetwork();
+  check(chainId.toString() === report.chainId, `Report is for chain ${report.chainId}, connected to ${chainId}`);
+
+  const abi = [
+    'event Deposit(bytes32 indexed commitment, uint32 leafIndex, uint256 amount, uint256 timestamp)',
+    'event Withdrawal(address indexed recipient, address indexed relayer, uint256 amount, bytes32 nullifierHash, uint256 fee)',
+    'function nullifiers(bytes32) view returns (bool)',
+    'function DEPOSIT_AMOUNT() view returns (uint256)'
+  ];
+  const mixer = new ethers.Contract(report.mixer, abi, provider);
+  // An EOA or another contract at `mixer` makes these calls revert or return
+  // nothing decodable; either way the report does not describe a pool.
+  let denomination, spent;
+  try {
+    [denomination, spent] = await Promise.all([mixer.DEPOSIT_AMOUNT(), mixer.nullifiers(report.nullifierHash)]);
+  } catch {
+    errors.push(`Mixer ${report.mixer} is not a mixer contract`);
+    return result();
+  }
+  check(denomination.toString() === report.denomination, 'Denomination does not match the pool');
+
+  const depositReceipt = await provider.getTransactionReceipt(report.deposit.transactionHash);
+  const depositEvent = depositReceipt && mixerEvent(mixer, depositReceipt, 'Deposit').find((e) => e.args.commitment === report.commitment);
+  check(depositEvent, 'Deposit transaction does not contain the commitment');
+  if (depositEvent) {
+    check(depositReceipt.blockNumber === report.deposit.blockNumber, 'Deposit block does not match');
+    check(Number(depositEvent.args.leafIndex) === report.deposit.leafIndex, 'Deposit leaf index does not match');
+    check(Number(depositEvent.args.timestamp) === report.deposit.timestamp, 'Deposit timestamp does not match');
+  }
+
+  if (!withdrawn) {
+    check(!spent, 'Report claims no withdrawal but the nullifier is spent');
+    return result();
+  }
+
+  check(report.disclosure, 'Withdrawal reported without the note disclosure');
+  if (report.disclosure) {
+    const { secret, nullifier } = report.disclosure;
+    check(toBytes32(await computeCommitment(secret, nullifier)) === report.commitment, 'Disclosed secret does not open the commitment');
+    check(toBytes32(await computeNullifierHash(nullifier)) === report.nullifierHash, 'Disclosed nullifier does not match the nullifier hash');
+  }
+
+  const w = report.withdrawal;
+  const withdrawReceipt = await provider.getTransactionReceipt(w.transactionHash);
+  const withdrawEvent = withdrawReceipt && mixerEvent(mixer, withdrawReceipt, 'Withdrawal').find((e) => e.args.nullifierHash === report.nullifierHash);
+  check(withdrawEvent, 'Withdrawal transaction does not spend the nullifier');
+  if (withdrawEvent) {
+    const block = await provider.getBlock(withdrawReceipt.blockNumber);
+    check(withdrawReceipt.blockNumber === w.blockNumber, 'Withdrawal block does not match');
+    check(block.timestamp === w.timestamp, 'Withdrawal timestamp does not match');
+    check(withdrawEvent.args.recipient === w.recipient, 'Withdrawal recipient does not match');
+    check(withdrawEvent.args.relayer === w.relayer, 'Withdrawal relayer does not match');
+    check(withdrawEvent.args.amount.toString() === w.amount, 'Withdrawal amount does not match');
+    check(withdrawEvent.args.fee.toString() === w.fee, 'Withdrawal fee does not match');
+  }
+  check(spent, 'Nullifier is not spent');
+  return result();
+}
+
+module.exports = { REPORT_VERSION, findWithdrawal, createReport, verifyReport };
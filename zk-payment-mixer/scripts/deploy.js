@@ -1,23 +1,115 @@
-const { ethers } = require('hardhat');
+const fs = require('fs');
+const path = require('path');
+const hre = require('hardhat');
+const { ethers } = hre;
+const { deployHasher } = require('./poseidon-hasher');
+const { assertVerifierMatches } = require('./manifest');
+
+const DEPLOYMENTS_DIR = path.join(__dirname, '..', 'deployments');
+const VERIFIER_SOURCE = path.join(__dirname, '..', 'contracts', 'Verifier.sol');
+const BUILD = path.join(__dirname, '..', 'build');
+const DEFAULT_POOLS = '0.1,1,10'; // ETH
+const DEFAULT_DEPTH = 20; // depth used with MockVerifier
+const DEV_NETWORKS = ['hardhat', 'localhost'];
+
+// contracts/Verifier.sol is generated by `npm run compile-circuit` and not
+// committed. Without it, the in-process hardhat network falls back to
+// MockVerifier, which accepts every proof; every other network needs the
+// generated verifier. Returns the contract name to deploy.
+function assertVerifierDeployable(networkName, source = VERIFIER_SOURCE) {
+  if (fs.existsSync(source)) return 'Verifier';
+  if (networkName === 'hardhat') return 'MockVerifier';
+  throw new Error(`contracts/Verifier.sol is missing. Run \`npm run compile-circuit\` before deploying to ${networkName}.`);
+}
+
+// Keys built on a development ptau can be forged by whoever generated it, so
+// they only go to local networks.
+function assertProductionPtau(networkName, manifest) {
+  if (manifest.ptau.production || DEV_NETWORKS.includes(networkName)) return;
+  throw new Error(`${manifest.ptau.file} is a development ptau. Rerun compile-circuit with --ptau <Hermez ptau> before deploying to ${networkName}.`);
+}
+
+// Tree depth of the installed verifier, from the comment compile-circuit adds.
+function verifierDepth(source = VERIFIER_SOURCE) {
+  if (!fs.existsSync(source)) return DEFAULT_DEPTH;
+  const match = /for Withdraw\((\d+)\)/.exec(fs.readFileSync(source, 'utf8'));
+  return match ? Number(match[1]) : DEFAULT_DEPTH;
+}
+
+// Deploys the shared verifier and hasher, a MixerFactory, and one pool per
+// denomination (in wei). `levels` must match the installed verifier.
+async function deployPools(deployer, denominations, levels = DEFAULT_DEPTH, verifierName = 'Verifier') {
+  const Verifier = await ethers.getContractFactory(verifierName, deployer);
+  const verifier = await Verifier.deploy();
+  await verifier.waitForDeployment();
+
+  const hasher = await deployHasher(deployer);
+
+  const Factory = await ethers.getContractFactory('MixerFactory', deployer);
+  const factory = await Factory.deploy(await verifier.getAddress(), await hasher.getAddress(), levels);
+  await factory.waitForDeployment();
+
+  for (const denomination of denominations) {
+    await (await factory.createPool(denomination)).wait();
+  }
+  const pools = (await factory.getPools()).map((p) => ({
+    address: p.pool,
+    denomination: p.denomination.toString(),
+    denominationEth: ethers.formatEther(p.denomination)
+  }));
+
+  return {
+    verifier: await verifier.getAddress(),
+    hasher: await hasher.getAddress(),
+    factory: await factory.getAddress(),
+    levels,
+    pools
+  };
+}
+
+function saveDeployment(networkName, chainId, contracts) {
+  if (!fs.existsSync(DEPLOYMENTS_DIR)) fs.mkdirSync(DEPLOYMENTS_DIR, { recursive: true });
+  const file = path.join(DEPLOYMENTS_DIR, `${networkName}.json`);
+  const data = {
+    network: networkName,
+    chainId: Number(chainId),
+    timestamp: new Date().toISOString(),
+    contracts
+  };
+  fs.writeFileSync(file, JSON.stringify(data, null, 2));
+  return file;
+}
 
 async function main() {
+  const verifierName = assertVerifierDeployable(hre.network.name);
+  // A generated verifier must come from an intact build; CIRCUIT_BUILD names
+  // the compile-circuit output it was installed from.
+  if (verifierName === 'Verifier') {
+    const manifest = assertVerifierMatches(process.env.CIRCUIT_BUILD || BUILD, VERIFIER_SOURCE);
+    assertProductionPtau(hre.network.name, manifest);
+    if (!manifest.ptau.production) console.log(`Warning: built with development ptau ${manifest.ptau.file}, NOT FOR PRODUCTION`);
+  }
+
   const [deployer] = await ethers.getSigners();
   console.log('Deployer:', deployer.address);
 
-  const Verifier = await ethers.getContractFactory('Verifier');
-  const verifier = await Verifier.deploy();
-  await verifier.waitForDeployment();
-  console.log('Verifier:', await verifier.getAddress());
+  const denominations = (process.env.POOL_DENOMINATIONS || DEFAULT_POOLS)
+    .split(',')
+    .map((d) => ethers.parseEther(d.trim()));
+  const levels = verifierDepth();
+  const contracts = await deployPools(deployer, denominations, levels, verifierName);
+  console.log('Verifier:', contracts.verifier);
+  console.log('Hasher:', contracts.hasher);
+  console.log(`MixerFactory (depth ${levels}):`, contracts.factory);
+  for (const pool of contracts.pools) console.log(`Mixer ${pool.denominationEth} ETH:`, pool.address);
 
-  const Mixer = await ethers.getContractFactory('Mixer');
-  const mixer = await Mixer.deploy(await verifier.getAddress());
-  await mixer.waitForDeployment();
-  console.log('Mixer:', await mixer.getAddress());
+  const { chainId } = await ethers.provider.getNetwork();
+  const file = saveDeployment(hre.network.name, chainId, contracts);
+  console.log('Deployment written to', file);
+}
 
-  // add initial root 0x0
-  const tx = await mixer.addMerkleRoot(ethers.ZeroHash);
-  await tx.wait();
-  console.log('Initial root added');
+if (require.main === module) {
+  main().catch((e)=>{ console.error(e); process.exit(1); });
 }
 
-main().catch((e)=>{ console.error(e); process.exit(1); });
+module.exports = { assertVerifierDeployable, assertProductionPtau, verifierDepth, deployPools, saveDeployment };
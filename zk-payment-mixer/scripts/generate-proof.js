@@ -1,52 +1,135 @@
 const path = require('path');
 const fs = require('fs');
-const { execSync } = require('child_process');
+const snarkjs = require('snarkjs');
+const { createDeposit } = require('./note');
+const { MerkleTree } = require('./merkle-tree');
+const { ARTIFACTS, readManifest, checkArtifact } = require('./manifest');
 
-async function generateProof(inputs) {
-  const build = path.join(__dirname, '..', 'build');
-  const wasm = path.join(build, 'withdraw_js', 'withdraw.wasm');
-  const zkey = path.join(build, 'withdraw_final.zkey');
-  if (!fs.existsSync(wasm) || !fs.existsSync(zkey)) throw new Error('Missing WASM or zkey. Run compile-circuit.');
-  const inputPath = path.join(build, 'input.json');
-  fs.writeFileSync(inputPath, JSON.stringify(inputs, null, 2));
+// Public signals of withdraw.circom, in the order Mixer.withdraw passes them
+// to the verifier.
+const PUBLIC_SIGNALS = ['root', 'nullifier_hash', 'recipient', 'relayer', 'fee', 'refund'];
 
-  console.log('> Generating witness');
-  execSync(`node ${path.join(build, 'withdraw_js', 'generate_witness.js')} ${wasm} ${inputPath} ${path.join(build,'witness.wtns')}`, { stdio: 'inherit' });
+const BUILD = path.join(__dirname, '..', 'build');
 
-  console.log('> Proving (groth16)');
-  execSync(`snarkjs groth16 prove ${zkey} ${path.join(build,'witness.wtns')} ${path.join(build,'proof.json')} ${path.join(build,'public.json')}`, { stdio: 'inherit' });
+// Artifact paths inside a compile-circuit output directory.
+function artifactsIn(dir = BUILD) {
+  return {
+    wasm: path.join(dir, ARTIFACTS.wasm),
+    zkey: path.join(dir, ARTIFACTS.zkey),
+    vkey: path.join(dir, ARTIFACTS.vkey)
+  };
+}
+
+// Tree depth the artifacts in `dir` were built for.
+function circuitDepth(dir = BUILD) {
+  return readManifest(dir).circuit.depth;
+}
+
+// Artifacts are read once per path and shared by every later proof. Each is
+// checked against the manifest of its build directory as it is read.
+const cache = new Map();
+
+function load(dir, name, parse) {
+  const file = path.join(dir, name);
+  if (!cache.has(file)) {
+    const loading = fs.promises.readFile(file).then((data) => {
+      checkArtifact(dir, name, data);
+      return parse(data);
+    }).catch((e) => {
+      cache.delete(file);
+      if (e.code === 'ENOENT') throw new Error(`Missing ${path.relative(process.cwd(), file)}. Run compile-circuit.`);
+      throw e;
+    });
+    cache.set(file, loading);
+  }
+  return cache.get(file);
+}
+
+function loadWasm(dir = BUILD) {
+  return load(dir, ARTIFACTS.wasm, (data) => ({ type: 'mem', data: new Uint8Array(data) }));
+}
+
+function loadZkey(dir = BUILD) {
+  return load(dir, ARTIFACTS.zkey, (data) => ({ type: 'mem', data: new Uint8Array(data) }));
+}
+
+function loadVerificationKey(dir = BUILD) {
+  return load(dir, ARTIFACTS.vkey, (data) => JSON.parse(data));
+}
+
+function clearArtifactCache() {
+  cache.clear();
+}
+
+function namedSignals(publicSignals) {
+  return Object.fromEntries(PUBLIC_SIGNALS.map((name, i) => [name, BigInt(publicSignals[i])]));
+}
+
+// Proves `inputs` against withdraw.circom. Resolves to
+// { proof, publicSignals, signals } where `signals` maps each public signal
+// name to its value as a BigInt.
+// Pass `build` to use another compile-circuit output directory; artifacts
+// that do not match its manifest.json are refused.
+async function generateProof(inputs, { build = BUILD } = {}) {
+  const missing = PUBLIC_SIGNALS.filter((name) => inputs[name] === undefined);
+  if (missing.length) throw new Error(`Missing public inputs: ${missing.join(', ')}`);
+  const [wasmFile, zkeyFile] = await Promise.all([loadWasm(build), loadZkey(build)]);
 
-  const proof = JSON.parse(fs.readFileSync(path.join(build, 'proof.json')));
-  const pub = JSON.parse(fs.readFileSync(path.join(build, 'public.json')));
-  return { proof, pub };
+  let result;
+  try {
+    result = await snarkjs.groth16.fullProve(inputs, wasmFile, zkeyFile);
+  } catch (e) {
+    throw new Error(`Proof generation failed: ${e.message}`, { cause: e });
+  }
+  const { proof, publicSignals } = result;
+  return { proof, publicSignals, signals: namedSignals(publicSignals) };
 }
 
-async function verifyProof(proof, pub) {
-  const build = path.join(__dirname, '..', 'build');
-  const vk = path.join(build, 'verification_key.json');
-  fs.writeFileSync(path.join(build,'tmp_proof.json'), JSON.stringify(proof));
-  fs.writeFileSync(path.join(build,'tmp_pub.json'), JSON.stringify(pub));
-  console.log('> Verifying');
-  execSync(`snarkjs groth16 verify ${vk} ${path.join(build,'tmp_pub.json')} ${path.join(build,'tmp_proof.json')}`, { stdio: 'inherit' });
-  return true;
+async function verifyProof(proof, publicSignals, { build = BUILD } = {}) {
+  if (!Array.isArray(publicSignals) || publicSignals.length !== PUBLIC_SIGNALS.length) {
+    throw new Error(`Expected ${PUBLIC_SIGNALS.length} public signals`);
+  }
+  const key = await loadVerificationKey(build);
+  return snarkjs.groth16.verify(key, publicSignals.map(String), proof);
 }
 
 async function main() {
+  // Single-deposit tree; against a live mixer use getMerklePath instead.
+  const deposit = await createDeposit();
+  const tree = await MerkleTree.create(circuitDepth(), [deposit.commitment]);
+  const { root, pathElements, pathIndices } = tree.path(0);
   const example = {
-    secret: "1",
-    nullifier: "2",
-    root: "0",
+    secret: deposit.secret.toString(),
+    nullifier: deposit.nullifier.toString(),
+    nullifier_hash: deposit.nullifierHash.toString(),
+    root: root.toString(),
     recipient: "12345",
-    path_elements: Array(20).fill("0"),
-    path_indices: Array(20).fill(0)
+    relayer: "0",
+    fee: "0",
+    refund: "0",
+    path_elements: pathElements.map(String),
+    path_indices: pathIndices
   };
-  const { proof, pub } = await generateProof(example);
-  await verifyProof(proof, pub);
+  const { proof, publicSignals } = await generateProof(example);
+  if (!(await verifyProof(proof, publicSignals))) throw new Error('Generated proof does not verify');
+  fs.writeFileSync(path.join(BUILD, 'proof.json'), JSON.stringify(proof, null, 2));
+  fs.writeFileSync(path.join(BUILD, 'public.json'), JSON.stringify(publicSignals, null, 2));
   console.log('Proof and public inputs written to build/.');
 }
 
 if (require.main === module) {
-  main().catch((e) => { console.error(e); process.exit(1); });
+  // snarkjs keeps its curve worker threads alive, so exit explicitly.
+  main().then(() => process.exit(0), (e) => { console.error(e); process.exit(1); });
 }
 
-module.exports = { generateProof, verifyProof };
+module.exports = {
+  PUBLIC_SIGNALS,
+  artifactsIn,
+  circuitDepth,
+  generateProof,
+  verifyProof,
+  loadWasm,
+  loadZkey,
+  loadVerificationKey,
+  clearArtifactCache
+};
@@ -0,0 +1,98 @@
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const { execSync } = require('child_process');
+const { hashStream } = require('./ptau');
+
+// build/manifest.json pins every input and output of a compile-circuit run,
+// so artifacts from different runs are never mixed. Source paths are relative
+// to the project root, artifact paths to the output directory.
+const MANIFEST = 'manifest.json';
+const ROOT = path.join(__dirname, '..');
+const SOURCES = ['circuits/withdraw.circom', 'circuits/merkleTree.circom'];
+const ARTIFACTS = {
+  main: 'withdraw.circom',
+  r1cs: 'withdraw.r1cs',
+  wasm: 'withdraw_js/withdraw.wasm',
+  zkey: 'withdraw_final.zkey',
+  vkey: 'verification_key.json',
+  verifier: 'Verifier.sol'
+};
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+const hashFile = (file) => sha256(fs.readFileSync(file));
+
+function packageVersion(name) {
+  let dir = path.dirname(require.resolve(name, { paths: [ROOT] }));
+  while (!fs.existsSync(path.join(dir, 'package.json'))) dir = path.dirname(dir);
+  return JSON.parse(fs.readFileSync(path.join(dir, 'package.json'), 'utf8')).version;
+}
+
+function toolVersions() {
+  return {
+    circom: execSync('circom --version').toString().trim().split('\n').pop(),
+    snarkjs: packageVersion('snarkjs'),
+    circomlib: JSON.parse(fs.readFileSync(require.resolve('circomlib/package.json', { paths: [ROOT] }), 'utf8')).version,
+    node: process.version
+  };
+}
+
+// `production` is false for a development ptau (scripts/ptau.js). The ptau
+// is hashed as a stream; Hermez files run to several gigabytes.
+async function writeManifest(out, { circuit, ptau, production }) {
+  const manifest = {
+    circuit,
+    tools: toolVersions(),
+    ptau: { file: path.basename(ptau), sha256: await hashStream('sha256', ptau), production },
+    sources: Object.fromEntries(SOURCES.map((f) => [f, hashFile(path.join(ROOT, f))])),
+    artifacts: Object.fromEntries(Object.values(ARTIFACTS).map((f) => [f, hashFile(path.join(out, f))])),
+    createdAt: new Date().toISOString()
+  };
+  fs.writeFileSync(path.join(out, MANIFEST), JSON.stringify(manifest, null, 2));
+  return manifest;
+}
+
+function readManifest(dir) {
+  const file = path.join(dir, MANIFEST);
+  if (!fs.existsSync(file)) throw new Error(`Missing ${path.relative(process.cwd(), file)}. Run compile-circuit.`);
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+// Throws unless `data` (a Buffer, or read from disk when omitted) hashes to
+// the manifest entry for artifact `name` in `dir`.
+function checkArtifact(dir, name, data) {
+  const manifest = readManifest(dir);
+  const file = path.join(dir, name);
+  if (data === undefined) {
+    if (!fs.existsSync(file)) throw new Error(`Missing ${path.relative(process.cwd(), file)}. Run compile-circuit.`);
+    data = fs.readFileSync(file);
+  }
+  if (sha256(data) !== manifest.artifacts[name]) {
+    throw new Error(`${path.relative(process.cwd(), file)} does not match ${MANIFEST}; rerun compile-circuit`);
+  }
+}
+
+// Lists every source and artifact that no longer matches the manifest.
+function verifyManifest(dir) {
+  const manifest = readManifest(dir);
+  const mismatched = [];
+  const check = (file, expected, label) => {
+    if (!fs.existsSync(file) || hashFile(file) !== expected) mismatched.push(label);
+  };
+  for (const [f, hash] of Object.entries(manifest.sources)) check(path.join(ROOT, f), hash, f);
+  for (const [f, hash] of Object.entries(manifest.artifacts)) check(path.join(dir, f), hash, f);
+  return { manifest, mismatched };
+}
+
+// Deploy-time check: the verifier about to be compiled and deployed must be
+// the one generated alongside the proving key.
+function assertVerifierMatches(dir, verifierSource) {
+  const { manifest, mismatched } = verifyManifest(dir);
+  if (mismatched.length) throw new Error(`Build in ${dir} does not match ${MANIFEST}: ${mismatched.join(', ')}`);
+  if (hashFile(verifierSource) !== manifest.artifacts[ARTIFACTS.verifier]) {
+    throw new Error(`${path.relative(process.cwd(), verifierSource)} is not the verifier in ${dir}; rerun compile-circuit`);
+  }
+  return manifest;
+}
+
+module.exports = { MANIFEST, ARTIFACTS, hashFile, writeManifest, readManifest, checkArtifact, verifyManifest, assertVerifierMatches };
@@ -0,0 +1,151 @@
+const path = require('path');
+const fs = require('fs');
+const { toBeHex } = require('ethers');
+const { getPoseidon } = require('./note');
+
+const ZERO_VALUE = 0n; // MerkleTreeWithHistory.ZERO_VALUE
+const DEFAULT_CACHE_DIR = path.join(__dirname, '..', 'build', 'cache');
+const DEFAULT_BLOCK_CHUNK = 10000;
+
+// In-memory copy of the on-chain tree in MerkleTreeWithHistory.sol.
+class MerkleTree {
+  constructor(levels, poseidon, leaves = []) {
+    this.levels = levels;
+    this.poseidon = poseidon;
+    this.zeros = [ZERO_VALUE];
+    for (let i = 1; i <= levels; i++) this.zeros.push(this.hash(this.zeros[i - 1], this.zeros[i - 1]));
+    this.layers = Array.from({ length: levels + 1 }, () => []);
+    for (const leaf of leaves) this.insert(leaf);
+  }
+
+  static async create(levels, leaves = []) {
+    return new MerkleTree(levels, await getPoseidon(), leaves);
+  }
+
+  hash(left, right) {
+    return this.poseidon.F.toObject(this.poseidon([left, right]));
+  }
+
+  insert(leaf) {
+    let index = this.layers[0].length;
+    if (index >= 2 ** this.levels) throw new Error('Merkle tree is full');
+    this.layers[0].push(BigInt(leaf));
+    for (let level = 0; level < this.levels; level++) {
+      const parent = index >> 1;
+      const left = this.layers[level][parent * 2];
+      const right = this.layers[level][parent * 2 + 1] ?? this.zeros[level];
+      this.layers[level + 1][parent] = this.hash(left, right);
+      index = parent;
+    }
+    return this.layers[0].length - 1;
+  }
+
+  get root() {
+    return this.layers[this.levels][0] ?? this.zeros[this.levels];
+  }
+
+  indexOf(leaf) {
+    return this.layers[0].indexOf(BigInt(leaf));
+  }
+
+  // Inclusion path in the shape withdraw.circom takes.
+  path(index) {
+    if (index < 0 || index >= this.layers[0].length) throw new Error(`Leaf index ${index} out of range`);
+    const pathElements = [];
+    const pathIndices = [];
+    for (let level = 0; level < this.levels; level++) {
+      pathIndices.push(index & 1);
+      pathElements.push(this.layers[level][index ^ 1] ?? this.zeros[level]);
+      index >>= 1;
+    }
+    return { root: this.root, pathElements, pathIndices };
+  }
+}
+
+function cacheFileFor(cacheDir, chainId, address) {
+  return path.join(cacheDir, `deposits-${chainId}-${address.toLowerCase()}.json`);
+}
+
+function readCache(file) {
+  if (!fs.existsSync(file)) return { lastBlock: -1, deposits: [] };
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+function writeCache(file, cache) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(cache, null, 2));
+}
+
+// Deposit events of `mixer` ordered by leaf index. Fetched events are cached
+// on disk so later calls only query blocks after the last one seen.
+async function fetchDeposits(mixer, { cacheDir = DEFAULT_CACHE_DIR, fromBlock = 0, blockChunk = DEFAULT_BLOCK_CHUNK, useCache = true } = {}) {
+  const provider = mixer.runner.provider ?? mixer.runner;
+  const address = await mixer.getAddress();
+  const { chainId } = await provider.getNetwork();
+  const file = cacheFileFor(cacheDir, chainId, address);
+  let cache = useCache ? readCache(file) : { lastBlock: -1, deposits: [] };
+  // A restarted dev node reuses chain id and addresses, so a cache whose last
+  // block is no longer on chain is discarded.
+  if (cache.lastBlock >= 0) {
+    const block = await provider.getBlock(cache.lastBlock);
+    if (!block || block.hash !== cache.lastBlockHash) cache = { lastBlock: -1, deposits: [] };
+  }
+
+  const latest = await provider.getBlockNumber();
+  let start = Math.max(cache.lastBlock + 1, fromBlock);
+  while (start <= latest) {
+    const end = Math.min(start + blockChunk - 1, latest);
+    const events = await mixer.queryFilter(mixer.filters.Deposit(), start, end);
+    for (const e of events) {
+      cache.deposits.push({
+        commitment: e.args.commitment,
+        leafIndex: Number(e.args.leafIndex),
+        timestamp: Number(e.args.timestamp),
+        blockNumber: e.blockNumber,
+        transactionHash: e.transactionHash
+      });
+    }
+    start = end + 1;
+  }
+  if (latest > cache.lastBlock) {
+    cache.lastBlock = latest;
+    cache.lastBlockHash = (await provider.getBlock(latest)).hash;
+  }
+  cache.deposits.sort((x, y) => x.leafIndex - y.leafIndex);
+
+  cache.deposits.forEach((d, i) => {
+    if (d.leafIndex !== i) throw new Error(`Missing deposit at leaf index ${i}; clear ${file} and retry`);
+  });
+
+  if (useCache) writeCache(file, cache);
+  return cache.deposits;
+}
+
+// Rebuilds the tree from chain data and checks its root against the roots
+// the contract still accepts.
+async function buildTreeFromChain(mixer, options = {}) {
+  const deposits = await fetchDeposits(mixer, options);
+  const levels = Number(await mixer.levels());
+  const tree = await MerkleTree.create(levels, deposits.map((d) => d.commitment));
+  const root = toBeHex(tree.root, 32);
+  if (!(await mixer.isValidRoot(root))) {
+    throw new Error(`Rebuilt root ${root} is not a known root of the mixer`);
+  }
+  return { tree, deposits, root };
+}
+
+async function getMerklePath(mixer, commitment, options = {}) {
+  const { tree, deposits, root } = await buildTreeFromChain(mixer, options);
+  const leafIndex = tree.indexOf(commitment);
+  if (leafIndex < 0) throw new Error(`Commitment ${toBeHex(BigInt(commitment), 32)} has not been deposited`);
+  const { pathElements, pathIndices } = tree.path(leafIndex);
+  return { root, leafIndex, pathElements, pathIndices, deposit: deposits[leafIndex] };
+}
+
+module.exports = {
+  ZERO_VALUE,
+  MerkleTree,
+  fetchDeposits,
+  buildTreeFromChain,
+  getMerklePath
+};
@@ -0,0 +1,118 @@
+const crypto = require('crypto');
+const { getAddress, toBeHex } = require('ethers');
+const { buildPoseidon } = require('circomlibjs');
+
+const FIELD_SIZE = 21888242871839275222246405745257275088548364400416034343698204186575808495617n;
+const NOTE_PREFIX = 'zkmixer';
+const NOTE_VERSION = 1;
+const SECRET_BYTES = 31; // 248 bits, always below FIELD_SIZE
+const MAX_SECRET = 1n << BigInt(SECRET_BYTES * 8);
+
+// zkmixer-<version>-<chainId>-<denomination in wei>-<mixer address>-0x<secret><nullifier>
+const NOTE_REGEX = /^zkmixer-(\d+)-(\d+)-(\d+)-(0x[0-9a-fA-F]{40})-0x([0-9a-fA-F]{124})$/;
+
+let poseidonPromise;
+function getPoseidon() {
+  if (!poseidonPromise) poseidonPromise = buildPoseidon();
+  return poseidonPromise;
+}
+
+function randomFieldElement() {
+  return BigInt('0x' + crypto.randomBytes(SECRET_BYTES).toString('hex'));
+}
+
+function toFieldElement(value, name) {
+  const v = BigInt(value);
+  if (v < 0n || v >= FIELD_SIZE) throw new Error(`${name} is not a field element`);
+  return v;
+}
+
+function toBytes32(value) {
+  return toBeHex(value, 32);
+}
+
+async function poseidonHash(inputs) {
+  const poseidon = await getPoseidon();
+  return poseidon.F.toObject(poseidon(inputs));
+}
+
+// Poseidon(secret, nullifier), as `commitment` in withdraw.circom.
+async function computeCommitment(secret, nullifier) {
+  return poseidonHash([toFieldElement(secret, 'secret'), toFieldElement(nullifier, 'nullifier')]);
+}
+
+// Poseidon(nullifier), as `nullifier_hash` in withdraw.circom.
+async function computeNullifierHash(nullifier) {
+  return poseidonHash([toFieldElement(nullifier, 'nullifier')]);
+}
+
+// Secret material plus the values derived from it. Pass secret/nullifier to
+// rebuild a known deposit, omit them to draw fresh random ones.
+async function createDeposit({ secret = randomFieldElement(), nullifier = randomFieldElement() } = {}) {
+  secret = toFieldElement(secret, 'secret');
+  nullifier = toFieldElement(nullifier, 'nullifier');
+  const commitment = await computeCommitment(secret, nullifier);
+  const nullifierHash = await computeNullifierHash(nullifier);
+  return {
+    secret,
+    nullifier,
+    commitment,
+    nullifierHash,
+    commitmentHex: toBytes32(commitment),
+    nullifierHashHex: toBytes32(nullifierHash)
+  };
+}
+
+async function createNote({ chainId, denomination, contractAddress, secret, nullifier }) {
+  const deposit = await createDeposit({ secret, nullifier });
+  const note = {
+    version: NOTE_VERSION,
+    chainId: BigInt(chainId),
+    denomination: BigInt(denomination),
+    contractAddress: getAddress(contractAddress),
+    ...deposit
+  };
+  return { ...note, noteString: serializeNote(note) };
+}
+
+function serializeNote({ chainId, denomination, contractAddress, secret, nullifier }) {
+  if (BigInt(secret) >= MAX_SECRET || BigInt(nullifier) >= MAX_SECRET) {
+    throw new Error(`Note secrets must fit in ${SECRET_BYTES} bytes`);
+  }
+  const material = toBeHex(secret, SECRET_BYTES).slice(2) + toBeHex(nullifier, SECRET_BYTES).slice(2);
+  return [
+    NOTE_PREFIX,
+    NOTE_VERSION,
+    BigInt(chainId).toString(),
+    BigInt(denomination).toString(),
+    getAddress(contractAddress),
+    '0x' + material
+  ].join('-');
+}
+
+async function parseNote(noteString) {
+  const match = NOTE_REGEX.exec(String(noteString).trim());
+  if (!match) throw new Error('Invalid note format');
+  const [, version, chainId, denomination, contractAddress, material] = match;
+  if (Number(version) !== NOTE_VERSION) throw new Error(`Unsupported note version ${version}`);
+
+  const half = SECRET_BYTES * 2;
+  const secret = BigInt('0x' + material.slice(0, half));
+  const nullifier = BigInt('0x' + material.slice(half));
+  return createNote({ chainId, denomination, contractAddress, secret, nullifier });
+}
+
+module.exports = {
+  FIELD_SIZE,
+  NOTE_VERSION,
+  getPoseidon,
+  poseidonHash,
+  randomFieldElement,
+  computeCommitment,
+  computeNullifierHash,
+  createDeposit,
+  createNote,
+  serializeNote,
+  parseNote,
+  toBytes32
+};
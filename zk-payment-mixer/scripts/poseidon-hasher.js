@@ -0,0 +1,13 @@
+const { ContractFactory } = require('ethers');
+const { poseidonContract } = require('circomlibjs');
+
+// Deploys the circomlibjs Poseidon(2) contract that Mixer uses to hash
+// Merkle tree nodes.
+async function deployHasher(signer) {
+  const factory = new ContractFactory(poseidonContract.generateABI(2), poseidonContract.createCode(2), signer);
+  const hasher = await factory.deploy();
+  await hasher.waitForDeployment();
+  return hasher;
+}
+
+module.exports = { deployHasher };
@@ -0,0 +1,177 @@
+const path = require('path');
+const fs = require('fs');
+const http = require('http');
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+const { PUBLIC_SIGNALS, verifyProof, loadVerificationKey } = require('./generate-proof');
+const { toWithdrawArgs } = require('./calldata');
+
+const BUILD = path.join(__dirname, '..', 'build');
+const MIXER_ARTIFACT = path.join(__dirname, '..', 'artifacts', 'contracts', 'Mixer.sol', 'Mixer.json');
+const MAX_BODY = 64 * 1024;
+const JOB_TTL = 60 * 60 * 1000; // how long finished jobs stay queryable, in ms
+
+class RequestError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// Oversized bodies are not drained: buffering stops at MAX_BODY and the
+// request is destroyed once the 413 has been sent.
+function readJson(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    function onData(chunk) {
+      size += chunk.length;
+      if (size > MAX_BODY) {
+        req.off('data', onData);
+        req.pause();
+        reject(new RequestError(413, 'Request body too large'));
+        return;
+      }
+      chunks.push(chunk);
+    }
+    req.on('data', onData);
+    req.on('end', () => {
+      try { resolve(JSON.parse(Buffer.concat(chunks).toString())); } catch { reject(new RequestError(400, 'Invalid JSON body')); }
+    });
+    req.on('error', reject);
+  });
+}
+
+function send(res, status, body, done) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body), done);
+}
+
+// Relays withdraw proofs to `mixer` from `signer`. Each request is checked
+// off-chain (proof, fee, root, nullifier) before any gas is spent, against
+// the verification key of the compile-circuit output in `build`; a key that
+// does not match its manifest.json is refused. Finished jobs are dropped
+// `jobTtl` ms after they confirm or fail.
+function createRelayer({ mixer, signer, build = BUILD, minFee = 0n, confirmations = 1, jobTtl = JOB_TTL }) {
+  const jobs = new Map();
+  const pendingNullifiers = new Set();
+  const connected = mixer.connect(signer);
+
+  async function validate({ proof, publicSignals }) {
+    if (!proof || !Array.isArray(publicSignals) || publicSignals.length !== PUBLIC_SIGNALS.length) {
+      throw new RequestError(400, `Expected { proof, publicSignals[${PUBLIC_SIGNALS.length}] }`);
+    }
+    let input;
+    try {
+      input = Object.fromEntries(PUBLIC_SIGNALS.map((name, i) => [name, BigInt(publicSignals[i])]));
+    } catch {
+      throw new RequestError(400, 'Public signals must be integers');
+    }
+
+    if (input.relayer !== BigInt(await signer.getAddress())) throw new RequestError(400, 'Proof is not bound to this relayer');
+    if (input.fee < minFee) throw new RequestError(400, `Fee below minimum of ${minFee}`);
+    if (input.refund !== 0n) throw new RequestError(400, 'Refund not supported for ETH');
+    // A key that fails the manifest check is our fault, not the caller's, so
+    // it is loaded before snarkjs errors on a malformed proof become 400s.
+    await loadVerificationKey(build);
+    let verified;
+    try {
+      verified = await verifyProof(proof, publicSignals, { build });
+    } catch {
+      verified = false;
+    }
+    if (!verified) throw new RequestError(400, 'Invalid proof');
+
+    const root = ethers.toBeHex(input.root, 32);
+    const nullifierHash = ethers.toBeHex(input.nullifier_hash, 32);
+    if (!(await mixer.isValidRoot(root))) throw new RequestError(400, 'Unknown or expired root');
+    if (pendingNullifiers.has(nullifierHash) || (await mixer.nullifiers(nullifierHash))) {
+      throw new RequestError(409, 'Nullifier already spent');
+    }
+
+    return toWithdrawArgs(proof, publicSignals);
+  }
+
+  async function run(job, args) {
+    const nullifierHash = args[4];
+    try {
+      const tx = await connected.withdraw(...args);
+      Object.assign(job, { status: 'submitted', txHash: tx.hash });
+      const receipt = await tx.wait(confirmations);
+      Object.assign(job, { status: receipt.status === 1 ? 'confirmed' : 'failed', blockNumber: receipt.blockNumber });
+    } catch (e) {
+      Object.assign(job, { status: 'failed', error: e.shortMessage || e.message });
+    } finally {
+      pendingNullifiers.delete(nullifierHash);
+      setTimeout(() => jobs.delete(job.id), jobTtl).unref();
+    }
+  }
+
+  async function handle(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+
+    if (req.method === 'GET' && url.pathname === '/status') {
+      return send(res, 200, {
+        relayer: await signer.getAddress(),
+        mixer: await mixer.getAddress(),
+        minFee: minFee.toString()
+      });
+    }
+
+    if (req.method === 'POST' && url.pathname === '/relay') {
+      const args = await validate(await readJson(req));
+      if (pendingNullifiers.has(args[4])) throw new RequestError(409, 'Nullifier already spent');
+      pendingNullifiers.add(args[4]);
+      const job = { id: crypto.randomUUID(), status: 'queued', nullifierHash: args[4] };
+      jobs.set(job.id, job);
+      job.done = run(job, args);
+      return send(res, 202, { id: job.id, status: job.status });
+    }
+
+    const match = /^\/jobs\/([0-9a-f-]+)$/.exec(url.pathname);
+    if (req.method === 'GET' && match) {
+      const job = jobs.get(match[1]);
+      if (!job) throw new RequestError(404, 'Unknown job');
+      const { done, ...body } = job;
+      return send(res, 200, body);
+    }
+
+    throw new RequestError(404, 'Not found');
+  }
+
+  const server = http.createServer((req, res) => {
+    handle(req, res).catch((e) => {
+      send(res, e.status || 500, { error: e.message }, () => { if (e.status === 413) req.destroy(); });
+    });
+  });
+  return { server, jobs };
+}
+
+async function main() {
+  const rpc = process.env.RPC_URL || 'http://127.0.0.1:8545';
+  const port = Number(process.env.PORT || 8000);
+  if (!process.env.MIXER_ADDRESS) throw new Error('Set MIXER_ADDRESS');
+  if (!process.env.RELAYER_PRIVATE_KEY) throw new Error('Set RELAYER_PRIVATE_KEY');
+  if (!fs.existsSync(MIXER_ARTIFACT)) throw new Error('Missing Mixer artifact. Run `npx hardhat compile`.');
+
+  const provider = new ethers.JsonRpcProvider(rpc);
+  const signer = new ethers.Wallet(process.env.RELAYER_PRIVATE_KEY, provider);
+  const { abi } = JSON.parse(fs.readFileSync(MIXER_ARTIFACT));
+  const mixer = new ethers.Contract(process.env.MIXER_ADDRESS, abi, provider);
+  const minFee = ethers.parseEther(process.env.RELAYER_MIN_FEE || '0');
+
+  // CIRCUIT_BUILD selects the build for pools of another tree depth. Its key
+  // is checked against the manifest before the relayer starts.
+  const build = process.env.CIRCUIT_BUILD || BUILD;
+  await loadVerificationKey(build);
+  const { server } = createRelayer({ mixer, signer, build, minFee });
+  server.listen(port, () => {
+    console.log(`Relayer ${signer.address} for mixer ${process.env.MIXER_ADDRESS} listening on :${port}`);
+  });
+}
+
+if (require.main === module) {
+  main().catch((e) => { console.error(e); process.exit(1); });
+}
+
+module.exports = { createRelayer };
@@ -0,0 +1,148 @@
+const { expect } = require('chai');
+const { ethers } = require('hardhat');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { deployHasher } = require('../scripts/poseidon-hasher');
+const { createDeposit } = require('../scripts/note');
+const { getMerklePath } = require('../scripts/merkle-tree');
+const { generateProof, verifyProof } = require('../scripts/generate-proof');
+const {
+  toSolidityProof,
+  fromSolidityProof,
+  toWithdrawArgs,
+  encodeWithdrawCalldata,
+  decodeWithdrawCalldata
+} = require('../scripts/calldata');
+const { requireArtifacts } = require('./helpers/artifacts');
+
+const LEVELS = 20;
+const BUILD = path.join(__dirname, '..', 'build');
+const VERIFIER_SOURCE = path.join(__dirname, '..', 'contracts', 'Verifier.sol');
+const DEPOSIT = ethers.parseEther('0.1');
+
+const proof = {
+  pi_a: ['11', '12', '1'],
+  pi_b: [['21', '22'], ['23', '24'], ['1', '0']],
+  pi_c: ['31', '32', '1'],
+  protocol: 'groth16',
+  curve: 'bn128'
+};
+
+describe('calldata', function () {
+  const recipient = '0x70997970C51812dc3A010C7d01b50e0d17dc79C8';
+  const relayer = '0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC';
+  const publicSignals = ['5', '6', BigInt(recipient).toString(), BigInt(relayer).toString(), '1000', '0'];
+
+  it('swaps the pi_b coordinates for the verifier', function () {
+    const { a, b, c } = toSolidityProof(proof);
+    expect(a).to.deep.equal(['11', '12']);
+    expect(b).to.deep.equal([['22', '21'], ['24', '23']]);
+    expect(c).to.deep.equal(['31', '32']);
+    expect(fromSolidityProof({ a, b, c })).to.deep.equal(proof);
+  });
+
+  it('builds withdraw arguments in contract order', function () {
+    const args = toWithdrawArgs(proof, publicSignals);
+    expect(args.slice(3)).to.deep.equal([
+      ethers.toBeHex(5, 32),
+      ethers.toBeHex(6, 32),
+      recipient,
+      relayer,
+      1000n,
+      0n
+    ]);
+    expect(() => toWithdrawArgs(proof, publicSignals.slice(1))).to.throw('Expected 6 public signals');
+  });
+
+  it('round-trips through ABI calldata', function () {
+    const data = encodeWithdrawCalldata(proof, publicSignals);
+    const decoded = decodeWithdrawCalldata(data);
+    expect(decoded.proof).to.deep.equal(proof);
+    expect(decoded.publicSignals).to.deep.equal(publicSignals);
+    expect(decoded.args[5]).to.equal(recipient);
+  });
+
+  it('rejects calldata for another function', function () {
+    const other = new ethers.Interface(['function deposit(bytes32 commitment)']);
+    expect(() => decodeWithdrawCalldata(other.encodeFunctionData('deposit', [ethers.ZeroHash]))).to.throw();
+  });
+
+  it('encodes calldata the mixer accepts', async function () {
+    const [owner, user1] = await ethers.getSigners();
+    const Verifier = await ethers.getContractFactory('MockVerifier');
+    const verifier = await Verifier.deploy();
+    const hasher = await deployHasher(owner);
+    const Mixer = await ethers.getContractFactory('Mixer');
+    const mixer = await Mixer.deploy(await verifier.getAddress(), await hasher.getAddress(), LEVELS, DEPOSIT);
+
+    const deposit = await createDeposit();
+    await mixer.connect(user1).deposit(deposit.commitmentHex, { value: DEPOSIT });
+    const signals = [
+      BigInt(await mixer.getCurrentRoot()),
+      deposit.nullifierHash,
+      BigInt(recipient),
+      BigInt(relayer),
+      1000n,
+      0n
+    ].map(String);
+
+    const tx = user1.sendTransaction({ to: await mixer.getAddress(), data: encodeWithdrawCalldata(proof, signals) });
+    await expect(tx).to.changeEtherBalances([recipient, relayer], [DEPOSIT - 1000n, 1000n]);
+  });
+
+  describe('with real proofs', function () {
+    this.timeout(120000);
+    let mixer, verifier, cacheDir, realProof, realSignals;
+
+    before(async function () {
+      const artifacts = [path.join(BUILD, 'withdraw_js', 'withdraw.wasm'), path.join(BUILD, 'withdraw_final.zkey')];
+      requireArtifacts(this, [VERIFIER_SOURCE, ...artifacts]);
+      const [owner, user1] = await ethers.getSigners();
+      const Verifier = await ethers.getContractFactory('Verifier');
+      verifier = await Verifier.deploy();
+      const hasher = await deployHasher(owner);
+      const Mixer = await ethers.getContractFactory('Mixer');
+      mixer = await Mixer.deploy(await verifier.getAddress(), await hasher.getAddress(), LEVELS, DEPOSIT);
+
+      const deposit = await createDeposit();
+      await mixer.connect(user1).deposit(deposit.commitmentHex, { value: DEPOSIT });
+      cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'calldata-cache-'));
+      const { root, pathElements, pathIndices } = await getMerklePath(mixer, deposit.commitment, { cacheDir });
+      ({ proof: realProof, publicSignals: realSignals } = await generateProof({
+        root: BigInt(root).toString(),
+        nullifier_hash: deposit.nullifierHash.toString(),
+        recipient: BigInt(recipient).toString(),
+        relayer: BigInt(relayer).toString(),
+        fee: '1000',
+        refund: '0',
+        secret: deposit.secret.toString(),
+        nullifier: deposit.nullifier.toString(),
+        path_elements: pathElements.map(String),
+        path_indices: pathIndices
+      }));
+    });
+
+    after(function () {
+      if (cacheDir) fs.rmSync(cacheDir, { recursive: true, force: true });
+    });
+
+    it('formats a proof the generated verifier accepts', async function () {
+      const { a, b, c } = toSolidityProof(realProof);
+      expect(await verifier.verifyProof(a, b, c, realSignals)).to.equal(true);
+      const unswapped = [[b[0][1], b[0][0]], [b[1][1], b[1][0]]];
+      expect(await verifier.verifyProof(a, unswapped, c, realSignals)).to.equal(false);
+    });
+
+    it('decodes sent calldata back into a valid proof', async function () {
+      const [, , sender] = await ethers.getSigners();
+      const data = encodeWithdrawCalldata(realProof, realSignals);
+      const decoded = decodeWithdrawCalldata(data);
+      expect(decoded.publicSignals).to.deep.equal(realSignals);
+      expect(await verifyProof(decoded.proof, decoded.publicSignals)).to.equal(true);
+
+      const tx = sender.sendTransaction({ to: await mixer.getAddress(), data });
+      await expect(tx).to.changeEtherBalances([recipient, relayer], [DEPOSIT - 1000n, 1000n]);
+    });
+  });
+});
@@ -0,0 +1,105 @@
+const { expect } = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const snarkjs = require('snarkjs');
+const { verifyZkey, init, exportPackage, contribute, importContribution, applyBeacon } = require('../scripts/ceremony');
+const { requireArtifacts } = require('./helpers/artifacts');
+
+const BUILD = path.join(__dirname, '..', 'build');
+const BEACON = '0x' + 'ab'.repeat(32);
+
+describe('trusted setup ceremony', function () {
+  this.timeout(600000);
+  let r1cs, ptau, dir, transcript;
+  const workDirs = [];
+
+  function tempDir(prefix) {
+    const d = fs.mkdtempSync(path.join(os.tmpdir(), prefix));
+    workDirs.push(d);
+    return d;
+  }
+
+  // Each simulated participant works in their own directory, as they would
+  // on their own machine.
+  async function participant(name) {
+    const packageDir = tempDir(`participant-${name}-`);
+    exportPackage({ dir, out: packageDir });
+    return contribute({ packageDir, name });
+  }
+
+  before(async function () {
+    const manifest = path.join(BUILD, 'manifest.json');
+    requireArtifacts(this, [manifest]);
+    r1cs = [path.join(BUILD, 'depth16', 'withdraw.r1cs'), path.join(BUILD, 'withdraw.r1cs')].find((f) => fs.existsSync(f)) ?? path.join(BUILD, 'withdraw.r1cs');
+    // The ptau of the main build, usually a development one standing in for
+    // a Hermez file.
+    ptau = path.join(BUILD, JSON.parse(fs.readFileSync(manifest)).ptau.file);
+    requireArtifacts(this, [r1cs, ptau]);
+    dir = tempDir('ceremony-');
+    await init({ r1cs, ptau, dir, allowDevPtau: true });
+  });
+
+  after(function () {
+    for (const d of workDirs) fs.rmSync(d, { recursive: true, force: true });
+  });
+
+  it('only starts on a development ptau when told to', async function () {
+    await expect(init({ r1cs, ptau, dir: tempDir('ceremony-dev-') })).to.be.rejectedWith('is not a known powers of tau file');
+    expect(JSON.parse(fs.readFileSync(path.join(dir, 'transcript.json'))).ptau.production).to.equal(false);
+  });
+
+  it('accepts contributions from several participants in turn', async function () {
+    const hashes = [];
+    for (const name of ['alice', 'bob', 'carol']) {
+      const { response, hash } = await participant(name);
+      const accepted = await importContribution({ dir, zkey: response });
+      expect(accepted).to.include({ name, hash });
+      hashes.push(hash);
+    }
+    const { contributions } = JSON.parse(fs.readFileSync(path.join(dir, 'transcript.json')));
+    expect(contributions.map((c) => c.hash)).to.deep.equal(hashes);
+    expect(contributions.map((c) => c.index)).to.deep.equal([1, 2, 3]);
+  });
+
+  it('rejects a contribution built on a stale package', async function () {
+    const packageDir = tempDir('participant-stale-');
+    const pkg = exportPackage({ dir, out: packageDir });
+    // Replace the package with the ceremony's first zkey, skipping bob and carol.
+    fs.copyFileSync(path.join(dir, 'withdraw_0001.zkey'), path.join(packageDir, pkg.challenge));
+    const { response } = await contribute({ packageDir, name: 'mallory' });
+    await expect(importContribution({ dir, zkey: response }))
+      .to.be.rejectedWith('does not extend the latest zkey (3 accepted contributions)');
+  });
+
+  it('rejects a zkey that fails zkey verify', async function () {
+    const forged = path.join(dir, 'forged.zkey');
+    const bytes = fs.readFileSync(path.join(dir, 'withdraw_0003.zkey'));
+    bytes[bytes.length - 100] ^= 0xff;
+    fs.writeFileSync(forged, bytes);
+    await expect(importContribution({ dir, zkey: forged })).to.be.rejectedWith('failed zkey verify');
+  });
+
+  it('finalizes with a beacon and writes the transcript', async function () {
+    transcript = await applyBeacon({ dir, beacon: BEACON, iterationsExp: 10 });
+    const beacon = transcript.contributions[3];
+    expect(beacon.beacon).to.deep.equal({ hash: BEACON.slice(2), iterationsExp: 10 });
+    expect(transcript.final.zkey).to.equal('withdraw_0004.zkey');
+
+    const written = JSON.parse(fs.readFileSync(path.join(dir, 'transcript.json')));
+    expect(written).to.deep.equal(transcript);
+    expect(written.contributions.map((c) => c.name)).to.deep.equal(['alice', 'bob', 'carol', 'Final beacon']);
+
+    const final = await verifyZkey({ r1cs, ptau, zkey: path.join(dir, transcript.final.zkey) });
+    expect(final.valid).to.equal(true);
+    expect(final.contributions.map((c) => c.hash)).to.deep.equal(transcript.contributions.map((c) => c.hash));
+
+    const vkey = JSON.parse(fs.readFileSync(path.join(dir, 'verification_key.json')));
+    expect(vkey).to.deep.equal(await snarkjs.zKey.exportVerificationKey(path.join(dir, transcript.final.zkey)));
+  });
+
+  it('refuses further contributions once finalized', async function () {
+    expect(() => exportPackage({ dir, out: path.join(dir, 'late') })).to.throw('Ceremony is finalized');
+    await expect(applyBeacon({ dir, beacon: BEACON })).to.be.rejectedWith('Ceremony is finalized');
+  });
+});
@@ -0,0 +1,152 @@
+const { expect } = require('chai');
+const { ethers } = require('hardhat');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { deployHasher } = require('../scripts/poseidon-hasher');
+const { createNote } = require('../scripts/note');
+const { createRelayer } = require('../scripts/relayer');
+const { deposit, withdraw, waitForJob, status, poolFromDeployment } = require('../bin/mixer');
+const { requireArtifacts } = require('./helpers/artifacts');
+
+const LEVELS = 20;
+const BUILD = path.join(__dirname, '..', 'build');
+const ARTIFACTS = [
+  path.join(BUILD, 'withdraw_js', 'withdraw.wasm'),
+  path.join(BUILD, 'withdraw_final.zkey'),
+  path.join(BUILD, 'verification_key.json')
+];
+
+describe('mixer cli', function () {
+  this.timeout(120000);
+  const DEPOSIT = ethers.parseEther('0.1');
+  let mixer, mixerAddress, user1, user2, relayerSigner, cacheDir;
+
+  beforeEach(async function () {
+    let owner;
+    [owner, user1, user2, relayerSigner] = await ethers.getSigners();
+    const Verifier = await ethers.getContractFactory('MockVerifier');
+    const verifier = await Verifier.deploy();
+    const hasher = await deployHasher(owner);
+    const Mixer = await ethers.getContractFactory('Mixer');
+    mixer = await Mixer.deploy(await verifier.getAddress(), await hasher.getAddress(), LEVELS, DEPOSIT);
+    mixerAddress = await mixer.getAddress();
+    cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cli-cache-'));
+  });
+
+  afterEach(function () {
+    fs.rmSync(cacheDir, { recursive: true, force: true });
+  });
+
+  it('deposits and prints a note for the pool', async function () {
+    const result = await deposit({ signer: user1, mixerAddress });
+    expect(result.note).to.match(new RegExp(`^zkmixer-1-1337-${DEPOSIT}-${mixerAddress}-0x`));
+    expect(result.leafIndex).to.equal(0);
+    expect(await ethers.provider.getBalance(mixerAddress)).to.equal(DEPOSIT);
+  });
+
+  it('hands out the note before sending the deposit', async function () {
+    const [owner] = await ethers.getSigners();
+    await mixer.connect(owner).pause();
+    const saved = [];
+
+    await expect(deposit({ signer: user1, mixerAddress, saveNote: (note) => saved.push(note) }))
+      .to.be.rejectedWith('EnforcedPause');
+    expect(saved).to.have.length(1);
+    const result = await status({ provider: ethers.provider, noteString: saved[0], cacheDir });
+    expect(result).to.include({ deposited: false, spent: false });
+  });
+
+  it('reports deposited and spent state', async function () {
+    const unknown = await createNote({ chainId: 1337, denomination: DEPOSIT, contractAddress: mixerAddress });
+    const before = await status({ provider: ethers.provider, noteString: unknown.noteString, cacheDir });
+    expect(before).to.include({ deposited: false, spent: false });
+
+    const { note, blockNumber } = await deposit({ signer: user1, mixerAddress });
+    const after = await status({ provider: ethers.provider, noteString: note, cacheDir });
+    expect(after).to.include({ deposited: true, spent: false });
+    expect(after.deposit).to.include({ leafIndex: 0, blockNumber });
+  });
+
+  it('refuses notes for another chain or denomination', async function () {
+    const otherChain = await createNote({ chainId: 1, denomination: DEPOSIT, contractAddress: mixerAddress });
+    await expect(status({ provider: ethers.provider, noteString: otherChain.noteString, cacheDir }))
+      .to.be.rejectedWith('Note is for chain 1, connected to 1337');
+    const otherPool = await createNote({ chainId: 1337, denomination: DEPOSIT * 10n, contractAddress: mixerAddress });
+    await expect(status({ provider: ethers.provider, noteString: otherPool.noteString, cacheDir }))
+      .to.be.rejectedWith('Note denomination does not match the pool');
+  });
+
+  it('withdraws directly and marks the note spent', async function () {
+    requireArtifacts(this, ARTIFACTS);
+    const { note } = await deposit({ signer: user1, mixerAddress });
+    const recipient = ethers.Wallet.createRandom().address;
+
+    const result = await withdraw({ provider: ethers.provider, signer: user2, noteString: note, recipient, cacheDir });
+    expect(result.fee).to.equal(0n);
+    expect(await ethers.provider.getBalance(recipient)).to.equal(DEPOSIT);
+    expect((await status({ provider: ethers.provider, noteString: note, cacheDir })).spent).to.equal(true);
+
+    await expect(withdraw({ provider: ethers.provider, signer: user2, noteString: note, recipient, cacheDir }))
+      .to.be.rejectedWith('Note has already been spent');
+  });
+
+  it('withdraws through a relayer at its minimum fee', async function () {
+    requireArtifacts(this, ARTIFACTS);
+    const FEE = ethers.parseEther('0.01');
+    const { server } = createRelayer({ mixer, signer: relayerSigner, minFee: FEE });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    try {
+      const { note } = await deposit({ signer: user1, mixerAddress });
+      const recipient = ethers.Wallet.createRandom().address;
+      const relayerUrl = `http://127.0.0.1:${server.address().port}`;
+
+      const result = await withdraw({ provider: ethers.provider, noteString: note, recipient, relayerUrl, cacheDir, pollMs: 50 });
+      expect(result).to.include({ relayer: relayerSigner.address, fee: FEE });
+      expect(await ethers.provider.getBalance(recipient)).to.equal(DEPOSIT - FEE);
+    } finally {
+      server.close();
+    }
+  });
+
+  it('gives up on a relayer job that never finishes', async function () {
+    const server = http.createServer((req, res) => {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ id: 'job-1', status: 'submitted' }));
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    try {
+      const url = `http://127.0.0.1:${server.address().port}`;
+      await expect(waitForJob(url, 'job-1', { pollMs: 20, timeoutMs: 100 }))
+        .to.be.rejectedWith(`Relayer: job job-1 still submitted after 0.1s; check ${url}/jobs/job-1`);
+    } finally {
+      server.close();
+    }
+  });
+
+  it('refuses circuit artifacts built for another depth', async function () {
+    requireArtifacts(this, ARTIFACTS);
+    const [owner] = await ethers.getSigners();
+    const hasher = await deployHasher(owner);
+    const Mixer = await ethers.getContractFactory('Mixer');
+    const shallow = await Mixer.deploy(await mixer.verifier(), await hasher.getAddress(), 16, DEPOSIT);
+    const { note } = await deposit({ signer: user1, mixerAddress: await shallow.getAddress() });
+
+    await expect(withdraw({ provider: ethers.provider, signer: user2, noteString: note, recipient: user2.address, cacheDir }))
+      .to.be.rejectedWith(`Pool has depth 16 but the circuit in build is for depth ${LEVELS}`);
+  });
+
+  it('looks pools up in the deployment file', function () {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'deployments-'));
+    try {
+      const pools = [{ address: mixerAddress, denomination: DEPOSIT.toString() }];
+      fs.writeFileSync(path.join(dir, 'localhost.json'), JSON.stringify({ contracts: { pools } }));
+      expect(poolFromDeployment('localhost', DEPOSIT, dir)).to.equal(mixerAddress);
+      expect(() => poolFromDeployment('localhost', 1n, dir)).to.throw('No 0.000000000000000001 ETH pool on localhost');
+      expect(() => poolFromDeployment('sepolia', DEPOSIT, dir)).to.throw('No deployment for sepolia');
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
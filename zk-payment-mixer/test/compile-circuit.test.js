@@ -0,0 +1,43 @@
+const { expect } = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseOptions, potPowerFor, writeMain } = require('../scripts/compile-circuit');
+const { requireArtifacts } = require('./helpers/artifacts');
+
+const BUILD = path.join(__dirname, '..', 'build');
+
+describe('compile-circuit', function () {
+  it('parses depth, output dir, ptau and install flag', function () {
+    expect(parseOptions([])).to.deep.equal({ depth: 20, out: BUILD, zkey: undefined, ptau: undefined, install: true });
+    expect(parseOptions(['--depth', '16', '--out', 'build/depth16', '--zkey', 'ceremony/withdraw_0004.zkey', '--ptau', 'ptau', '--skip-install'])).to.deep.equal({
+      depth: 16,
+      out: path.resolve('build/depth16'),
+      zkey: path.resolve('ceremony/withdraw_0004.zkey'),
+      ptau: path.resolve('ptau'),
+      install: false
+    });
+    for (const depth of ['0', '32', '2.5', 'deep']) {
+      expect(() => parseOptions(['--depth', depth])).to.throw(`Invalid --depth ${depth}`);
+    }
+  });
+
+  it('generates the main component for the requested depth', function () {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'circuit-'));
+    try {
+      const source = fs.readFileSync(writeMain(dir, 24), 'utf8');
+      expect(source).to.include('include "circuits/withdraw.circom";');
+      expect(source).to.include('component main { public [root, nullifier_hash, recipient, relayer, fee, refund] } = Withdraw(24);');
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('sizes the powers of tau from the r1cs', async function () {
+    const r1cs = path.join(BUILD, 'withdraw.r1cs');
+    requireArtifacts(this, [r1cs]);
+    const { power, nConstraints } = await potPowerFor(r1cs);
+    expect(2 ** power).to.be.greaterThan(nConstraints);
+    expect(2 ** (power - 1)).to.be.at.most(nConstraints + 6);
+  });
+});
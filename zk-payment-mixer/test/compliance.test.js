@@ -0,0 +1,140 @@
+const { expect } = require('chai');
+const { ethers } = require('hardhat');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { deployHasher } = require('../scripts/poseidon-hasher');
+const { createNote } = require('../scripts/note');
+const { createReport, verifyReport } = require('../scripts/compliance');
+
+const LEVELS = 20;
+
+describe('compliance reports', function () {
+  const DEPOSIT = ethers.parseEther('0.1');
+  const FEE = ethers.parseEther('0.01');
+  const proof = [[0, 0], [[0, 0], [0, 0]], [0, 0]];
+  let mixer, owner, user1, recipient, relayer, compliance, note, cacheDir;
+
+  beforeEach(async function () {
+    [owner, user1, recipient, relayer, compliance] = await ethers.getSigners();
+    const Verifier = await ethers.getContractFactory('MockVerifier');
+    const verifier = await Verifier.deploy();
+    const hasher = await deployHasher(owner);
+    const Mixer = await ethers.getContractFactory('Mixer');
+    mixer = await Mixer.deploy(await verifier.getAddress(), await hasher.getAddress(), LEVELS, DEPOSIT);
+
+    note = await createNote({ chainId: 1337, denomination: DEPOSIT, contractAddress: await mixer.getAddress() });
+    await mixer.connect(user1).deposit(note.commitmentHex, { value: DEPOSIT });
+    cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'compliance-cache-'));
+  });
+
+  afterEach(function () {
+    fs.rmSync(cacheDir, { recursive: true, force: true });
+  });
+
+  async function spend() {
+    const root = await mixer.getCurrentRoot();
+    const tx = await mixer.connect(relayer).withdraw(...proof, root, note.nullifierHashHex, recipient.address, relayer.address, FEE, 0);
+    return tx.wait();
+  }
+
+  const report = () => createReport({ mixer, noteString: note.noteString, signer: compliance, cacheDir });
+
+  it('links a withdrawal to its deposit', async function () {
+    const receipt = await spend();
+    const signed = await report();
+
+    expect(signed.signer).to.equal(compliance.address);
+    expect(signed.report.deposit).to.include({ leafIndex: 0 });
+    expect(signed.report.withdrawal).to.include({
+      transactionHash: receipt.hash,
+      blockNumber: receipt.blockNumber,
+      recipient: recipient.address,
+      relayer: relayer.address,
+      amount: (DEPOSIT - FEE).toString(),
+      fee: FEE.toString()
+    });
+    expect(signed.report.disclosure).to.deep.equal({ secret: note.secret.toString(), nullifier: note.nullifier.toString() });
+    expect(await verifyReport({ provider: ethers.provider, signed })).to.deep.equal({ valid: true, withdrawn: true, errors: [] });
+  });
+
+  it('does not disclose the secret of an unspent note', async function () {
+    const signed = await report();
+    expect(signed.report.withdrawal).to.equal(null);
+    expect(signed.report.disclosure).to.equal(null);
+    expect(await verifyReport({ provider: ethers.provider, signed })).to.deep.equal({ valid: true, withdrawn: false, errors: [] });
+
+    await spend();
+    expect(await verifyReport({ provider: ethers.provider, signed })).to.deep.equal({
+      valid: false,
+      withdrawn: false,
+      errors: ['Report claims no withdrawal but the nullifier is spent']
+    });
+  });
+
+  it('rejects a report edited after signing', async function () {
+    await spend();
+    const signed = await report();
+    signed.report.withdrawal.recipient = user1.address;
+    const { valid, errors } = await verifyReport({ provider: ethers.provider, signed });
+    expect(valid).to.equal(false);
+    expect(errors).to.include('Signature does not match signer');
+    expect(errors).to.include('Withdrawal recipient does not match');
+  });
+
+  it('rejects a re-signed report that does not match the chain', async function () {
+    await spend();
+    const { report: body } = await report();
+    const other = await createNote({ chainId: 1337, denomination: DEPOSIT, contractAddress: await mixer.getAddress() });
+    body.disclosure.secret = other.secret.toString();
+    body.deposit.timestamp += 1;
+    const signed = { report: body, signer: compliance.address, signature: await compliance.signMessage(JSON.stringify(body)) };
+
+    expect(await verifyReport({ provider: ethers.provider, signed })).to.deep.equal({
+      valid: false,
+      withdrawn: true,
+      errors: ['Deposit timestamp does not match', 'Disclosed secret does not open the commitment']
+    });
+  });
+
+  it('rejects a report for an address that is not a mixer', async function () {
+    await spend();
+    const { report: body } = await report();
+    const Verifier = await ethers.getContractFactory('MockVerifier');
+    const other = await Verifier.deploy();
+
+    for (const address of [user1.address, await other.getAddress()]) {
+      const forged = { ...body, mixer: address };
+      const signed = { report: forged, signer: compliance.address, signature: await compliance.signMessage(JSON.stringify(forged)) };
+      expect(await verifyReport({ provider: ethers.provider, signed })).to.deep.equal({
+        valid: false,
+        withdrawn: true,
+        errors: [`Mixer ${address} is not a mixer contract`]
+      });
+    }
+  });
+
+  it('reports malformed reports instead of throwing', async function () {
+    await spend();
+    const signed = await report();
+    const verify = (s) => verifyReport({ provider: ethers.provider, signed: s });
+
+    expect(await verify(null)).to.deep.equal({ valid: false, withdrawn: false, errors: ['Report is not a signed report object'] });
+    expect(await verify({ signer: signed.signer })).to.deep.equal({ valid: false, withdrawn: false, errors: ['Report is not a signed report object'] });
+    expect(await verify({ ...signed, report: { ...signed.report, version: 2 } })).to.deep.equal({
+      valid: false, withdrawn: false, errors: ['Unsupported report version 2']
+    });
+
+    const { deposit, ...partial } = signed.report;
+    expect(await verify({ ...signed, report: partial })).to.deep.equal({ valid: false, withdrawn: false, errors: ['Malformed field deposit'] });
+    expect(await verify({ ...signed, signature: 7, report: { ...signed.report, withdrawal: { transactionHash: '0x' } } })).to.deep.equal({
+      valid: false, withdrawn: false, errors: ['Malformed field signature', 'Malformed field withdrawal']
+    });
+  });
+
+  it('refuses notes that were never deposited', async function () {
+    const other = await createNote({ chainId: 1337, denomination: DEPOSIT, contractAddress: await mixer.getAddress() });
+    await expect(createReport({ mixer, noteString: other.noteString, signer: compliance, cacheDir }))
+      .to.be.rejectedWith('has not been deposited');
+  });
+});
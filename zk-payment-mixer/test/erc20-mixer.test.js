@@ -0,0 +1,118 @@
+const { expect } = require('chai');
+const { ethers } = require('hardhat');
+const { deployHasher } = require('../scripts/poseidon-hasher');
+
+const LEVELS = 20;
+const FIELD_SIZE = 21888242871839275222246405745257275088548364400416034343698204186575808495617n;
+
+function randomCommitment() {
+  return ethers.toBeHex(ethers.toBigInt(ethers.randomBytes(32)) % FIELD_SIZE, 32);
+}
+
+describe('ERC20Mixer', function () {
+  let mixer, token, verifier, hasher, owner, user1, relayer;
+  const DEPOSIT = ethers.parseUnits('100', 18);
+  const a = [0n,0n];
+  const b = [[0n,0n],[0n,0n]];
+  const c = [0n,0n];
+
+  async function deployPool(tokenContract) {
+    const ERC20Mixer = await ethers.getContractFactory('ERC20Mixer');
+    const pool = await ERC20Mixer.deploy(await verifier.getAddress(), await hasher.getAddress(), LEVELS, DEPOSIT, await tokenContract.getAddress());
+    await pool.waitForDeployment();
+    return pool;
+  }
+
+  beforeEach(async function () {
+    [owner, user1, , relayer] = await ethers.getSigners();
+    const Verifier = await ethers.getContractFactory('MockVerifier');
+    verifier = await Verifier.deploy();
+    hasher = await deployHasher(owner);
+
+    const MockERC20 = await ethers.getContractFactory('MockERC20');
+    token = await MockERC20.deploy('Mock USD', 'mUSD');
+    mixer = await deployPool(token);
+
+    await token.mint(user1.address, DEPOSIT * 10n);
+    await token.connect(user1).approve(await mixer.getAddress(), ethers.MaxUint256);
+  });
+
+  it('pulls exactly the denomination on deposit', async function () {
+    const commitment = randomCommitment();
+    await expect(mixer.connect(user1).deposit(commitment))
+      .to.emit(mixer, 'Deposit').withArgs(commitment, 0, DEPOSIT, (t) => t > 0n);
+    expect(await token.balanceOf(await mixer.getAddress())).to.equal(DEPOSIT);
+    expect(await mixer.getBalance()).to.equal(DEPOSIT);
+  });
+
+  it('rejects ETH sent with a token deposit', async function () {
+    await expect(mixer.connect(user1).deposit(randomCommitment(), { value: 1n }))
+      .to.be.revertedWith('ETH not accepted');
+  });
+
+  it('rejects deposits without allowance', async function () {
+    await token.connect(user1).approve(await mixer.getAddress(), 0);
+    await expect(mixer.connect(user1).deposit(randomCommitment()))
+      .to.be.revertedWithCustomError(token, 'ERC20InsufficientAllowance');
+  });
+
+  it('rejects fee-on-transfer tokens', async function () {
+    const Fee = await ethers.getContractFactory('FeeOnTransferToken');
+    const feeToken = await Fee.deploy();
+    const pool = await deployPool(feeToken);
+    await feeToken.mint(user1.address, DEPOSIT * 2n);
+    await feeToken.connect(user1).approve(await pool.getAddress(), ethers.MaxUint256);
+
+    await expect(pool.connect(user1).deposit(randomCommitment()))
+      .to.be.revertedWith('Fee-on-transfer token not supported');
+  });
+
+  describe('withdraw', function () {
+    let root;
+
+    beforeEach(async function () {
+      await mixer.connect(user1).deposit(randomCommitment());
+      root = await mixer.getCurrentRoot();
+    });
+
+    it('pays tokens to the recipient and the fee to the relayer', async function () {
+      const recipient = ethers.Wallet.createRandom().address;
+      const fee = ethers.parseUnits('1', 18);
+      const nullifierHash = randomCommitment();
+
+      await expect(mixer.connect(relayer).withdraw(a,b,c,root,nullifierHash,recipient,relayer.address,fee,0))
+        .to.emit(mixer, 'Withdrawal').withArgs(recipient, relayer.address, DEPOSIT - fee, nullifierHash, fee);
+      expect(await token.balanceOf(recipient)).to.equal(DEPOSIT - fee);
+      expect(await token.balanceOf(relayer.address)).to.equal(fee);
+      expect(await mixer.nullifiers(nullifierHash)).to.equal(true);
+
+      await expect(mixer.connect(relayer).withdraw(a,b,c,root,nullifierHash,recipient,relayer.address,fee,0))
+        .to.be.revertedWith('Nullifier used');
+    });
+
+    it('forwards the ETH refund to the recipient', async function () {
+      const recipient = ethers.Wallet.createRandom().address;
+      const refund = ethers.parseEther('0.01');
+      await expect(mixer.connect(relayer).withdraw(a,b,c,root,randomCommitment(),recipient,relayer.address,0,refund, { value: refund }))
+        .to.changeEtherBalance(recipient, refund);
+    });
+
+    it('returns the refund to the sender when the recipient rejects ETH', async function () {
+      // The mock token has no receive(), so ETH sent to it bounces.
+      const recipient = await token.getAddress();
+      const refund = ethers.parseEther('0.01');
+      await expect(mixer.connect(relayer).withdraw(a,b,c,root,randomCommitment(),recipient,relayer.address,0,refund, { value: refund }))
+        .to.changeEtherBalances([recipient, mixer], [0, 0]);
+    });
+
+    it('requires msg.value to match the refund', async function () {
+      await expect(mixer.connect(relayer).withdraw(a,b,c,root,randomCommitment(),user1.address,relayer.address,0,1n))
+        .to.be.revertedWith('Incorrect refund amount');
+    });
+
+    it('lets the owner sweep tokens in an emergency', async function () {
+      await expect(mixer.emergencyWithdraw(owner.address))
+        .to.changeTokenBalances(token, [mixer, owner], [-DEPOSIT, DEPOSIT]);
+    });
+  });
+});
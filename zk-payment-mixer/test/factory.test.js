@@ -0,0 +1,122 @@
+const { expect } = require('chai');
+const { ethers } = require('hardhat');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { deployHasher } = require('../scripts/poseidon-hasher');
+const { assertVerifierDeployable, assertProductionPtau, verifierDepth, deployPools } = require('../scripts/deploy');
+
+const LEVELS = 20;
+
+describe('MixerFactory', function () {
+  let factory, verifier, hasher, owner, user1;
+  const SMALL = ethers.parseEther('0.1');
+  const LARGE = ethers.parseEther('1');
+
+  beforeEach(async function () {
+    [owner, user1] = await ethers.getSigners();
+    const Verifier = await ethers.getContractFactory('MockVerifier');
+    verifier = await Verifier.deploy();
+    hasher = await deployHasher(owner);
+    const Factory = await ethers.getContractFactory('MixerFactory');
+    factory = await Factory.deploy(await verifier.getAddress(), await hasher.getAddress(), LEVELS);
+    await factory.waitForDeployment();
+  });
+
+  it('deploys pools that share the verifier and hasher', async function () {
+    await expect(factory.createPool(SMALL)).to.emit(factory, 'PoolCreated');
+    await factory.createPool(LARGE);
+
+    const pools = await factory.getPools();
+    expect(pools).to.have.lengthOf(2);
+    expect(await factory.poolCount()).to.equal(2);
+
+    for (const [i, amount] of [SMALL, LARGE].entries()) {
+      const mixer = await ethers.getContractAt('Mixer', pools[i].pool);
+      expect(pools[i].denomination).to.equal(amount);
+      expect(await factory.poolByDenomination(amount)).to.equal(pools[i].pool);
+      expect(await mixer.DEPOSIT_AMOUNT()).to.equal(amount);
+      expect(await mixer.verifier()).to.equal(await verifier.getAddress());
+      expect(await mixer.hasher()).to.equal(await hasher.getAddress());
+      expect(await mixer.owner()).to.equal(owner.address);
+    }
+  });
+
+  it('enforces each pool denomination on deposit', async function () {
+    await factory.createPool(LARGE);
+    const mixer = await ethers.getContractAt('Mixer', await factory.poolByDenomination(LARGE));
+    const commitment = ethers.toBeHex(1n, 32);
+    await expect(mixer.connect(user1).deposit(commitment, { value: SMALL }))
+      .to.be.revertedWith('Incorrect deposit amount');
+    await expect(mixer.connect(user1).deposit(commitment, { value: LARGE }))
+      .to.changeEtherBalance(mixer, LARGE);
+  });
+
+  it('rejects duplicate and zero denominations', async function () {
+    await factory.createPool(SMALL);
+    await expect(factory.createPool(SMALL)).to.be.revertedWith('Pool exists');
+    await expect(factory.createPool(0)).to.be.revertedWith('Invalid denomination');
+  });
+
+  it('only lets the owner create pools', async function () {
+    await expect(factory.connect(user1).createPool(SMALL))
+      .to.be.revertedWithCustomError(factory, 'OwnableUnauthorizedAccount');
+  });
+
+  describe('deploy script', function () {
+    it('deploys the configured pools', async function () {
+      const denominations = ['0.1', '1', '10'].map((d) => ethers.parseEther(d));
+      const deployment = await deployPools(owner, denominations, LEVELS, 'MockVerifier');
+      expect(deployment.pools.map((p) => p.denominationEth)).to.deep.equal(['0.1', '1.0', '10.0']);
+      for (const pool of deployment.pools) {
+        const mixer = await ethers.getContractAt('Mixer', pool.address);
+        expect(await mixer.DEPOSIT_AMOUNT()).to.equal(BigInt(pool.denomination));
+        expect(await mixer.levels()).to.equal(LEVELS);
+      }
+    });
+
+    it('deploys pools at the requested tree depth', async function () {
+      const deployment = await deployPools(owner, [SMALL], 16, 'MockVerifier');
+      expect(deployment.levels).to.equal(16);
+      const mixer = await ethers.getContractAt('Mixer', deployment.pools[0].address);
+      expect(await mixer.levels()).to.equal(16);
+    });
+
+    it('reads the tree depth from the installed verifier', function () {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'verifier-'));
+      const generated = path.join(dir, 'Verifier.sol');
+      fs.writeFileSync(generated, '// Generated by scripts/compile-circuit.js for Withdraw(24).\ncontract Verifier {}');
+      try {
+        expect(verifierDepth(generated)).to.equal(24);
+        expect(verifierDepth(path.join(dir, 'Missing.sol'))).to.equal(LEVELS);
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    });
+
+    it('deploys keys from a development ptau only to local networks', function () {
+      const dev = { ptau: { file: 'pot14_dev_NOT_FOR_PRODUCTION.ptau', production: false } };
+      expect(() => assertProductionPtau('hardhat', dev)).to.not.throw();
+      expect(() => assertProductionPtau('localhost', dev)).to.not.throw();
+      expect(() => assertProductionPtau('sepolia', dev))
+        .to.throw('pot14_dev_NOT_FOR_PRODUCTION.ptau is a development ptau. Rerun compile-circuit with --ptau');
+      expect(() => assertProductionPtau('sepolia', { ptau: { file: 'powersOfTau28_hez_final_14.ptau', production: true } })).to.not.throw();
+    });
+
+    it('falls back to MockVerifier only on the hardhat network', function () {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'verifier-'));
+      const missing = path.join(dir, 'Verifier.sol');
+      const generated = path.join(dir, 'Generated.sol');
+      fs.writeFileSync(generated, 'contract Verifier {}');
+      try {
+        expect(assertVerifierDeployable('hardhat', missing)).to.equal('MockVerifier');
+        expect(() => assertVerifierDeployable('localhost', missing)).to.throw('contracts/Verifier.sol is missing');
+        expect(() => assertVerifierDeployable('sepolia', missing)).to.throw('contracts/Verifier.sol is missing');
+        expect(assertVerifierDeployable('hardhat', generated)).to.equal('Verifier');
+        expect(assertVerifierDeployable('sepolia', generated)).to.equal('Verifier');
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    });
+  });
+});
@@ -0,0 +1,18 @@
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..', '..');
+
+// Skips the calling test or suite when compile-circuit outputs are missing,
+// so a fresh checkout can still run the unit tests. Under CI a missing file
+// fails instead: otherwise the real-proof tests would never run there.
+function requireArtifacts(ctx, files, command = 'npm run compile-circuit') {
+  const missing = files.filter((f) => !fs.existsSync(f)).map((f) => path.relative(ROOT, f));
+  if (!missing.length) return;
+  const message = `circuit artifacts missing (${missing.join(', ')}), run \`${command}\``;
+  if (process.env.CI) throw new Error(message);
+  console.log(`    ${message}`);
+  ctx.skip();
+}
+
+module.exports = { requireArtifacts };
@@ -0,0 +1,65 @@
+const { expect } = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ARTIFACTS, verifyManifest, assertVerifierMatches } = require('../scripts/manifest');
+const { generateProof, verifyProof } = require('../scripts/generate-proof');
+const { requireArtifacts } = require('./helpers/artifacts');
+
+const BUILD = path.join(__dirname, '..', 'build');
+
+describe('build manifest', function () {
+  this.timeout(60000);
+  let dir;
+
+  before(function () {
+    requireArtifacts(this, [path.join(BUILD, 'manifest.json')]);
+  });
+
+  // A copy of the build, so tests can tamper with it.
+  beforeEach(function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'build-'));
+    for (const name of [...Object.values(ARTIFACTS), 'manifest.json']) {
+      fs.mkdirSync(path.dirname(path.join(dir, name)), { recursive: true });
+      fs.copyFileSync(path.join(BUILD, name), path.join(dir, name));
+    }
+  });
+
+  afterEach(function () {
+    if (dir) fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('records the sources, artifacts and tools of the build', function () {
+    const { manifest, mismatched } = verifyManifest(BUILD);
+    expect(mismatched).to.deep.equal([]);
+    expect(manifest.circuit.depth).to.equal(20);
+    expect(Object.keys(manifest.sources)).to.include('circuits/withdraw.circom');
+    expect(Object.keys(manifest.artifacts)).to.have.members(Object.values(ARTIFACTS));
+    expect(manifest.tools).to.have.all.keys('circom', 'snarkjs', 'circomlib', 'node');
+    expect(manifest.ptau.sha256).to.match(/^[0-9a-f]{64}$/);
+    expect(manifest.ptau.production).to.be.a('boolean');
+  });
+
+  it('refuses to prove or verify with tampered artifacts', async function () {
+    fs.appendFileSync(path.join(dir, ARTIFACTS.zkey), Buffer.from([0]));
+    const vkey = JSON.parse(fs.readFileSync(path.join(dir, ARTIFACTS.vkey)));
+    vkey.IC.reverse();
+    fs.writeFileSync(path.join(dir, ARTIFACTS.vkey), JSON.stringify(vkey));
+
+    await expect(generateProof({ root: '0', nullifier_hash: '0', recipient: '0', relayer: '0', fee: '0', refund: '0' }, { build: dir }))
+      .to.be.rejectedWith('withdraw_final.zkey does not match manifest.json');
+    await expect(verifyProof({}, ['0', '0', '0', '0', '0', '0'], { build: dir }))
+      .to.be.rejectedWith('verification_key.json does not match manifest.json');
+    expect(verifyManifest(dir).mismatched).to.deep.equal([ARTIFACTS.zkey, ARTIFACTS.vkey]);
+  });
+
+  it('only deploys the verifier generated with the build', function () {
+    expect(() => assertVerifierMatches(dir, path.join(dir, ARTIFACTS.verifier))).to.not.throw();
+    const other = path.join(dir, 'Other.sol');
+    fs.writeFileSync(other, 'contract Verifier {}');
+    expect(() => assertVerifierMatches(dir, other)).to.throw('is not the verifier in');
+
+    fs.appendFileSync(path.join(dir, ARTIFACTS.wasm), Buffer.from([0]));
+    expect(() => assertVerifierMatches(dir, path.join(dir, ARTIFACTS.verifier))).to.throw(`does not match manifest.json: ${ARTIFACTS.wasm}`);
+  });
+});
@@ -0,0 +1,111 @@
+const { expect } = require('chai');
+const { ethers } = require('hardhat');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { deployHasher } = require('../scripts/poseidon-hasher');
+const { createDeposit, poseidonHash } = require('../scripts/note');
+const { MerkleTree, fetchDeposits, getMerklePath } = require('../scripts/merkle-tree');
+
+const LEVELS = 20;
+
+describe('merkle tree rebuilder', function () {
+  let mixer, owner, user1, cacheDir;
+  const DEPOSIT = ethers.parseEther('0.1');
+
+  beforeEach(async function () {
+    [owner, user1] = await ethers.getSigners();
+    const Verifier = await ethers.getContractFactory('MockVerifier');
+    const verifier = await Verifier.deploy();
+    const hasher = await deployHasher(owner);
+    const Mixer = await ethers.getContractFactory('Mixer');
+    mixer = await Mixer.deploy(await verifier.getAddress(), await hasher.getAddress(), LEVELS, DEPOSIT);
+    await mixer.waitForDeployment();
+    cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mixer-cache-'));
+  });
+
+  afterEach(function () {
+    fs.rmSync(cacheDir, { recursive: true, force: true });
+  });
+
+  async function depositMany(n) {
+    const deposits = [];
+    for (let i = 0; i < n; i++) {
+      const d = await createDeposit();
+      await mixer.connect(user1).deposit(d.commitmentHex, { value: DEPOSIT });
+      deposits.push(d);
+    }
+    return deposits;
+  }
+
+  it('matches the empty on-chain root', async function () {
+    const tree = await MerkleTree.create(LEVELS);
+    expect(ethers.toBeHex(tree.root, 32)).to.equal(await mixer.getCurrentRoot());
+  });
+
+  it('returns a path that hashes up to the contract root', async function () {
+    const deposits = await depositMany(3);
+    const { root, leafIndex, pathElements, pathIndices } = await getMerklePath(mixer, deposits[1].commitment, { cacheDir });
+
+    expect(leafIndex).to.equal(1);
+    expect(root).to.equal(await mixer.getCurrentRoot());
+    expect(pathElements).to.have.lengthOf(LEVELS);
+
+    let node = deposits[1].commitment;
+    for (let i = 0; i < pathElements.length; i++) {
+      node = pathIndices[i] === 0
+        ? await poseidonHash([node, pathElements[i]])
+        : await poseidonHash([pathElements[i], node]);
+    }
+    expect(ethers.toBeHex(node, 32)).to.equal(root);
+  });
+
+  it('only fetches blocks after the cached ones', async function () {
+    await depositMany(2);
+    const first = await fetchDeposits(mixer, { cacheDir });
+    expect(first).to.have.lengthOf(2);
+
+    const [file] = fs.readdirSync(cacheDir);
+    const cache = JSON.parse(fs.readFileSync(path.join(cacheDir, file), 'utf8'));
+    expect(cache.lastBlock).to.equal(await ethers.provider.getBlockNumber());
+    cache.deposits[0].transactionHash = 'from-cache';
+    fs.writeFileSync(path.join(cacheDir, file), JSON.stringify(cache));
+
+    await depositMany(1);
+    const second = await fetchDeposits(mixer, { cacheDir });
+    expect(second).to.have.lengthOf(3);
+    expect(second[0].transactionHash).to.equal('from-cache');
+    expect(second[2].leafIndex).to.equal(2);
+  });
+
+  it('discards a cache from a chain that was reset', async function () {
+    await depositMany(1);
+    await fetchDeposits(mixer, { cacheDir });
+    const [file] = fs.readdirSync(cacheDir);
+    const cache = JSON.parse(fs.readFileSync(path.join(cacheDir, file), 'utf8'));
+    cache.deposits[0].transactionHash = 'from-old-chain';
+    cache.lastBlockHash = ethers.ZeroHash;
+    fs.writeFileSync(path.join(cacheDir, file), JSON.stringify(cache));
+
+    const deposits = await fetchDeposits(mixer, { cacheDir });
+    expect(deposits).to.have.lengthOf(1);
+    expect(deposits[0].transactionHash).to.not.equal('from-old-chain');
+  });
+
+  it('rejects a rebuilt root the contract does not know', async function () {
+    const [d] = await depositMany(1);
+    await fetchDeposits(mixer, { cacheDir });
+    const [file] = fs.readdirSync(cacheDir);
+    const cache = JSON.parse(fs.readFileSync(path.join(cacheDir, file), 'utf8'));
+    cache.deposits[0].commitment = ethers.toBeHex(1n, 32);
+    fs.writeFileSync(path.join(cacheDir, file), JSON.stringify(cache));
+
+    await expect(getMerklePath(mixer, d.commitment, { cacheDir })).to.be.rejectedWith('is not a known root');
+  });
+
+  it('rejects commitments that were never deposited', async function () {
+    await depositMany(1);
+    const other = await createDeposit();
+    await expect(getMerklePath(mixer, other.commitment, { cacheDir })).to.be.rejectedWith('has not been deposited');
+  });
+});
@@ -1,29 +1,49 @@
 const { expect } = require('chai');
 const { ethers } = require('hardhat');
+const { anyUint } = require('@nomicfoundation/hardhat-chai-matchers/withArgs');
+const { buildPoseidon } = require('circomlibjs');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { deployHasher } = require('../scripts/poseidon-hasher');
+const { createDeposit } = require('../scripts/note');
+const { getMerklePath } = require('../scripts/merkle-tree');
+const { generateProof } = require('../scripts/generate-proof');
+const { toWithdrawArgs } = require('../scripts/calldata');
+const { requireArtifacts } = require('./helpers/artifacts');
+
+const FIELD_SIZE = 21888242871839275222246405745257275088548364400416034343698204186575808495617n;
+const LEVELS = 20;
+
+function randomCommitment() {
+  return ethers.toBeHex(ethers.toBigInt(ethers.randomBytes(32)) % FIELD_SIZE, 32);
+}
 
 describe('Mixer', function () {
-  let mixer, verifier, owner, user1, user2;
+  let mixer, verifier, hasher, owner, user1, user2;
   const DEPOSIT = ethers.parseEther('0.1');
 
   beforeEach(async function () {
     [owner, user1, user2] = await ethers.getSigners();
-    const Verifier = await ethers.getContractFactory('Verifier');
+    const Verifier = await ethers.getContractFactory('MockVerifier');
     verifier = await Verifier.deploy();
     await verifier.waitForDeployment();
 
+    hasher = await deployHasher(owner);
+
     const Mixer = await ethers.getContractFactory('Mixer');
-    mixer = await Mixer.deploy(await verifier.getAddress());
+    mixer = await Mixer.deploy(await verifier.getAddress(), await hasher.getAddress(), LEVELS, DEPOSIT);
     await mixer.waitForDeployment();
-    await mixer.addMerkleRoot(ethers.ZeroHash);
   });
 
   it('deploys with correct constants', async function () {
     const amt = await mixer.DEPOSIT_AMOUNT();
     expect(amt).to.equal(DEPOSIT);
+    expect(await mixer.levels()).to.equal(LEVELS);
   });
 
   it('accepts deposit of 0.1 ETH and records commitment', async function () {
-    const commitment = ethers.hexlify(ethers.randomBytes(32));
+    const commitment = randomCommitment();
     await expect(mixer.connect(user1).deposit(commitment, { value: DEPOSIT }))
       .to.emit(mixer, 'Deposit');
     const exists = await mixer.hasCommitment?.(commitment).catch(()=>undefined);
@@ -33,21 +53,21 @@ describe('Mixer', function () {
   });
 
   it('rejects wrong deposit amount', async function () {
-    const commitment = ethers.hexlify(ethers.randomBytes(32));
+    const commitment = randomCommitment();
     await expect(mixer.connect(user1).deposit(commitment, { value: ethers.parseEther('0.05') }))
       .to.be.revertedWith('Incorrect deposit amount');
   });
 
   it('prevents duplicate commitments', async function () {
-    const commitment = ethers.hexlify(ethers.randomBytes(32));
+    const commitment = randomCommitment();
     await mixer.connect(user1).deposit(commitment, { value: DEPOSIT });
     await expect(mixer.connect(user2).deposit(commitment, { value: DEPOSIT }))
       .to.be.revertedWith('Commitment exists');
   });
 
-  it('withdraw works with placeholder verifier and marks nullifier', async function () {
+  it('withdraw works with mock verifier and marks nullifier', async function () {
     // deposit
-    await mixer.connect(user1).deposit(ethers.hexlify(ethers.randomBytes(32)), { value: DEPOSIT });
+    await mixer.connect(user1).deposit(randomCommitment(), { value: DEPOSIT });
     const root = await mixer.getCurrentRoot();
     const nullifierHash = ethers.hexlify(ethers.randomBytes(32));
 
@@ -56,12 +76,12 @@ describe('Mixer', function () {
     const c = [0n,0n];
 
     const before = await ethers.provider.getBalance(user2.address);
-    await expect(mixer.connect(user1).withdraw(a,b,c,root,nullifierHash,user2.address))
+    await expect(mixer.connect(user1).withdraw(a,b,c,root,nullifierHash,user2.address,ethers.ZeroAddress,0,0))
       .to.emit(mixer, 'Withdrawal');
     const after = await ethers.provider.getBalance(user2.address);
     expect(after - before).to.equal(DEPOSIT);
 
-    await expect(mixer.connect(user1).withdraw(a,b,c,root,nullifierHash,user2.address))
+    await expect(mixer.connect(user1).withdraw(a,b,c,root,nullifierHash,user2.address,ethers.ZeroAddress,0,0))
       .to.be.revertedWith('Nullifier used');
   });
 
@@ -70,7 +90,259 @@ describe('Mixer', function () {
     const a = [0n,0n];
     const b = [[0n,0n],[0n,0n]];
     const c = [0n,0n];
-    await expect(mixer.withdraw(a,b,c,ethers.hexlify(ethers.randomBytes(32)),nullifierHash,user2.address))
+    await expect(mixer.withdraw(a,b,c,ethers.hexlify(ethers.randomBytes(32)),nullifierHash,user2.address,ethers.ZeroAddress,0,0))
       .to.be.revertedWith('Invalid root');
   });
+
+  describe('merkle tree', function () {
+    let poseidon;
+
+    before(async function () {
+      poseidon = await buildPoseidon();
+    });
+
+    function hash(left, right) {
+      return poseidon.F.toObject(poseidon([left, right]));
+    }
+
+    // Reference root for `leaves` inserted from index 0 into an empty tree.
+    function computeRoot(leaves) {
+      let level = leaves.map((l) => ethers.toBigInt(l));
+      let zero = 0n;
+      for (let i = 0; i < LEVELS; i++) {
+        const next = [];
+        for (let j = 0; j < level.length; j += 2) {
+          next.push(hash(level[j], j + 1 < level.length ? level[j + 1] : zero));
+        }
+        level = next.length ? next : [hash(zero, zero)];
+        zero = hash(zero, zero);
+      }
+      return ethers.toBeHex(level[0], 32);
+    }
+
+    it('starts with the empty tree root', async function () {
+      expect(await mixer.getCurrentRoot()).to.equal(computeRoot([]));
+      expect(await mixer.nextIndex()).to.equal(0);
+    });
+
+    it('emits the leaf index and updates the root on deposit', async function () {
+      const leaves = [randomCommitment(), randomCommitment(), randomCommitment()];
+      for (let i = 0; i < leaves.length; i++) {
+        const expected = computeRoot(leaves.slice(0, i + 1));
+        await expect(mixer.connect(user1).deposit(leaves[i], { value: DEPOSIT }))
+          .to.emit(mixer, 'Deposit').withArgs(leaves[i], i, DEPOSIT, anyUint)
+          .and.to.emit(mixer, 'MerkleRootUpdated').withArgs(expected);
+        expect(await mixer.getCurrentRoot()).to.equal(expected);
+      }
+      expect(await mixer.nextIndex()).to.equal(leaves.length);
+    });
+
+    it('keeps earlier roots valid after new deposits', async function () {
+      await mixer.connect(user1).deposit(randomCommitment(), { value: DEPOSIT });
+      const first = await mixer.getCurrentRoot();
+      await mixer.connect(user1).deposit(randomCommitment(), { value: DEPOSIT });
+      expect(await mixer.isValidRoot(first)).to.equal(true);
+      expect(await mixer.isValidRoot(ethers.ZeroHash)).to.equal(false);
+    });
+
+    it('rejects commitments outside the field', async function () {
+      await expect(mixer.connect(user1).deposit(ethers.toBeHex(FIELD_SIZE, 32), { value: DEPOSIT }))
+        .to.be.revertedWith('Left out of field');
+    });
+
+    it('has no way to add a root except by depositing', async function () {
+      expect(mixer.interface.getFunction('addMerkleRoot')).to.equal(null);
+    });
+  });
+
+  describe('root history', function () {
+    let HISTORY;
+
+    // Deposits a fresh commitment and returns the root it produced.
+    async function depositRoot() {
+      await mixer.connect(user1).deposit(randomCommitment(), { value: DEPOSIT });
+      return mixer.getCurrentRoot();
+    }
+
+    beforeEach(async function () {
+      HISTORY = Number(await mixer.ROOT_HISTORY_SIZE());
+    });
+
+    it('returns only the live window, oldest first', async function () {
+      const genesis = await mixer.getCurrentRoot();
+      const added = [await depositRoot(), await depositRoot()];
+      expect(await mixer.getAllRoots()).to.deep.equal([genesis, ...added]);
+      expect(await mixer.getCurrentRoot()).to.equal(added[1]);
+    });
+
+    it('evicts the oldest roots once the window is full', async function () {
+      const genesis = await mixer.getCurrentRoot();
+      const added = [];
+      for (let i = 0; i < HISTORY + 5; i++) {
+        added.push(await depositRoot());
+      }
+
+      const live = added.slice(-HISTORY);
+      expect(await mixer.getAllRoots()).to.deep.equal(live);
+      expect(await mixer.isValidRoot(genesis)).to.equal(false);
+      for (const root of added.slice(0, 5)) {
+        expect(await mixer.isValidRoot(root)).to.equal(false);
+      }
+      for (const root of live) {
+        expect(await mixer.isValidRoot(root)).to.equal(true);
+      }
+    });
+
+    it('rejects withdrawals against an evicted deposit root', async function () {
+      await mixer.connect(user1).deposit(randomCommitment(), { value: DEPOSIT });
+      const stale = await mixer.getCurrentRoot();
+      for (let i = 0; i < HISTORY; i++) {
+        await mixer.connect(user1).deposit(randomCommitment(), { value: DEPOSIT });
+      }
+      expect(await mixer.isValidRoot(stale)).to.equal(false);
+
+      const a = [0n,0n];
+      const b = [[0n,0n],[0n,0n]];
+      const c = [0n,0n];
+      await expect(mixer.withdraw(a,b,c,stale,randomCommitment(),user2.address,ethers.ZeroAddress,0,0))
+        .to.be.revertedWith('Invalid root');
+    });
+
+    it('keeps withdrawal gas flat as roots accumulate', async function () {
+      const a = [0n,0n];
+      const b = [[0n,0n],[0n,0n]];
+      const c = [0n,0n];
+      // Each measurement withdraws against the oldest live root, the longest
+      // lookup. Roots come from deposits, so their calldata cost is taken out
+      // of the gas used and only execution is compared.
+      const measure = async () => {
+        const root = await depositRoot();
+        for (let i = 0; i < HISTORY - 1; i++) await depositRoot();
+        const args = [a,b,c,root,randomCommitment(),user2.address,ethers.ZeroAddress,0,0];
+        const data = ethers.getBytes(mixer.interface.encodeFunctionData('withdraw', args));
+        const calldataGas = data.reduce((sum, byte) => sum + (byte === 0 ? 4n : 16n), 0n);
+        const receipt = await (await mixer.withdraw(...args)).wait();
+        return receipt.gasUsed - calldataGas;
+      };
+
+      const early = await measure();
+      for (let i = 0; i < HISTORY * 2; i++) await depositRoot();
+      expect(await measure()).to.equal(early);
+    });
+  });
+
+  describe('relayer withdrawals', function () {
+    const a = [0n,0n];
+    const b = [[0n,0n],[0n,0n]];
+    const c = [0n,0n];
+    let relayer, root;
+
+    beforeEach(async function () {
+      relayer = (await ethers.getSigners())[3];
+      await mixer.connect(user1).deposit(randomCommitment(), { value: DEPOSIT });
+      root = await mixer.getCurrentRoot();
+    });
+
+    it('pays the fee to the relayer and the rest to the recipient', async function () {
+      const fee = ethers.parseEther('0.01');
+      const recipient = ethers.Wallet.createRandom().address;
+      const nullifierHash = randomCommitment();
+      const relayerBefore = await ethers.provider.getBalance(relayer.address);
+
+      const tx = mixer.connect(relayer).withdraw(a,b,c,root,nullifierHash,recipient,relayer.address,fee,0);
+      await expect(tx).to.emit(mixer, 'Withdrawal')
+        .withArgs(recipient, relayer.address, DEPOSIT - fee, nullifierHash, fee);
+
+      const receipt = await (await tx).wait();
+      const gas = receipt.gasUsed * receipt.gasPrice;
+      expect(await ethers.provider.getBalance(recipient)).to.equal(DEPOSIT - fee);
+      expect(await ethers.provider.getBalance(relayer.address)).to.equal(relayerBefore + fee - gas);
+    });
+
+    it('allows the whole deposit as fee', async function () {
+      const recipient = ethers.Wallet.createRandom().address;
+      await expect(mixer.connect(relayer).withdraw(a,b,c,root,randomCommitment(),recipient,relayer.address,DEPOSIT,0))
+        .to.changeEtherBalances([recipient, relayer], [0, DEPOSIT]);
+    });
+
+    it('rejects fees above the denomination', async function () {
+      await expect(mixer.withdraw(a,b,c,root,randomCommitment(),user2.address,relayer.address,DEPOSIT + 1n,0))
+        .to.be.revertedWith('Fee exceeds deposit');
+    });
+
+    it('requires a relayer address when a fee is charged', async function () {
+      await expect(mixer.withdraw(a,b,c,root,randomCommitment(),user2.address,ethers.ZeroAddress,1n,0))
+        .to.be.revertedWith('Invalid relayer');
+    });
+
+    it('rejects refunds for ETH withdrawals', async function () {
+      await expect(mixer.withdraw(a,b,c,root,randomCommitment(),user2.address,relayer.address,0,1n))
+        .to.be.revertedWith('Refund not supported for ETH');
+    });
+  });
+
+  describe('with real proofs', function () {
+    this.timeout(120000);
+    const BUILD = path.join(__dirname, '..', 'build');
+    const VERIFIER_SOURCE = path.join(__dirname, '..', 'contracts', 'Verifier.sol');
+    let pool, cacheDir, deposit, proof, args;
+
+    before(async function () {
+      const artifacts = [path.join(BUILD, 'withdraw_js', 'withdraw.wasm'), path.join(BUILD, 'withdraw_final.zkey')];
+      requireArtifacts(this, [VERIFIER_SOURCE, ...artifacts]);
+      [owner, user1, user2] = await ethers.getSigners();
+      const Verifier = await ethers.getContractFactory('Verifier');
+      const realVerifier = await Verifier.deploy();
+      const poolHasher = await deployHasher(owner);
+      const Mixer = await ethers.getContractFactory('Mixer');
+      pool = await Mixer.deploy(await realVerifier.getAddress(), await poolHasher.getAddress(), LEVELS, DEPOSIT);
+      await pool.waitForDeployment();
+
+      deposit = await createDeposit();
+      await pool.connect(user1).deposit(deposit.commitmentHex, { value: DEPOSIT });
+      cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mixer-cache-'));
+      const { root, pathElements, pathIndices } = await getMerklePath(pool, deposit.commitment, { cacheDir });
+
+      let publicSignals;
+      ({ proof, publicSignals } = await generateProof({
+        root: BigInt(root).toString(),
+        nullifier_hash: deposit.nullifierHash.toString(),
+        recipient: BigInt(user2.address).toString(),
+        relayer: '0',
+        fee: '0',
+        refund: '0',
+        secret: deposit.secret.toString(),
+        nullifier: deposit.nullifier.toString(),
+        path_elements: pathElements.map(String),
+        path_indices: pathIndices
+      }));
+      args = toWithdrawArgs(proof, publicSignals);
+    });
+
+    after(function () {
+      if (cacheDir) fs.rmSync(cacheDir, { recursive: true, force: true });
+    });
+
+    it('rejects a forged proof', async function () {
+      const forged = [...args];
+      forged[0] = [args[0][0], (BigInt(args[0][1]) + 1n).toString()];
+      await expect(pool.withdraw(...forged)).to.be.reverted;
+
+      const fake = [...args];
+      fake[0] = [1n, 2n];
+      await expect(pool.withdraw(...fake)).to.be.revertedWith('Invalid proof');
+    });
+
+    it('rejects a valid proof replayed for another recipient', async function () {
+      const redirected = [...args];
+      redirected[5] = user1.address;
+      await expect(pool.withdraw(...redirected)).to.be.revertedWith('Invalid proof');
+    });
+
+    it('accepts the proof generated by generateProof', async function () {
+      await expect(pool.connect(user1).withdraw(...args))
+        .to.changeEtherBalance(user2, DEPOSIT);
+      await expect(pool.connect(user1).withdraw(...args)).to.be.revertedWith('Nullifier used');
+    });
+  });
 });
@@ -0,0 +1,61 @@
+const { expect } = require('chai');
+const { ethers } = require('hardhat');
+const { buildPoseidon } = require('circomlibjs');
+const {
+  FIELD_SIZE,
+  randomFieldElement,
+  createDeposit,
+  createNote,
+  serializeNote,
+  parseNote
+} = require('../scripts/note');
+
+describe('note', function () {
+  const CHAIN_ID = 1337n;
+  const DENOMINATION = ethers.parseEther('0.1');
+  const MIXER = '0x5FbDB2315678afecb367f032d93F642f64180aa3';
+  let poseidon;
+
+  before(async function () {
+    poseidon = await buildPoseidon();
+  });
+
+  it('draws random field elements', function () {
+    const a = randomFieldElement();
+    const b = randomFieldElement();
+    expect(a).to.not.equal(b);
+    expect(a < FIELD_SIZE).to.equal(true);
+  });
+
+  it('computes commitment and nullifier hash like withdraw.circom', async function () {
+    const deposit = await createDeposit({ secret: 1n, nullifier: 2n });
+    expect(deposit.commitment).to.equal(poseidon.F.toObject(poseidon([1n, 2n])));
+    expect(deposit.nullifierHash).to.equal(poseidon.F.toObject(poseidon([2n])));
+    expect(deposit.commitmentHex).to.equal(ethers.toBeHex(deposit.commitment, 32));
+  });
+
+  it('round-trips a note through its string form', async function () {
+    const note = await createNote({ chainId: CHAIN_ID, denomination: DENOMINATION, contractAddress: MIXER });
+    expect(note.noteString).to.match(/^zkmixer-1-1337-100000000000000000-0x[0-9a-fA-F]{40}-0x[0-9a-f]{124}$/);
+
+    const parsed = await parseNote(note.noteString);
+    expect(parsed.chainId).to.equal(CHAIN_ID);
+    expect(parsed.denomination).to.equal(DENOMINATION);
+    expect(parsed.contractAddress).to.equal(MIXER);
+    expect(parsed.secret).to.equal(note.secret);
+    expect(parsed.nullifier).to.equal(note.nullifier);
+    expect(parsed.commitment).to.equal(note.commitment);
+    expect(parsed.nullifierHash).to.equal(note.nullifierHash);
+    expect(serializeNote(parsed)).to.equal(note.noteString);
+  });
+
+  it('rejects malformed notes and unknown versions', async function () {
+    const { noteString } = await createNote({ chainId: CHAIN_ID, denomination: DENOMINATION, contractAddress: MIXER });
+    await expect(parseNote(noteString.slice(0, -2))).to.be.rejectedWith('Invalid note format');
+    await expect(parseNote(noteString.replace('zkmixer-1-', 'zkmixer-2-'))).to.be.rejectedWith('Unsupported note version 2');
+  });
+
+  it('rejects secrets outside the field', async function () {
+    await expect(createDeposit({ secret: FIELD_SIZE, nullifier: 1n })).to.be.rejectedWith('secret is not a field element');
+  });
+});
@@ -0,0 +1,59 @@
+const { expect } = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const snarkjs = require('snarkjs');
+const { requiredPower, verifyKnownPtau, findHermezPtau, resolvePtau } = require('../scripts/ptau');
+
+describe('powers of tau', function () {
+  this.timeout(120000);
+  let dir;
+
+  // Named like a Hermez ptau, but not the published file.
+  function fakeHermez(power) {
+    const file = path.join(dir, `powersOfTau28_hez_final_${String(power).padStart(2, '0')}.ptau`);
+    fs.writeFileSync(file, crypto.randomBytes(1024));
+    return file;
+  }
+
+  beforeEach(function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ptau-'));
+  });
+
+  afterEach(function () {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('sizes the ceremony from the r1cs header', function () {
+    const circuit = (size) => ({ nConstraints: size - 7, nPubInputs: 6, nOutputs: 1 });
+    expect(requiredPower(circuit(8))).to.equal(8);
+    expect(requiredPower(circuit(2 ** 14 - 1))).to.equal(14);
+    expect(requiredPower(circuit(2 ** 14))).to.equal(15);
+    expect(() => requiredPower(circuit(2 ** 27))).to.throw('above the 2^27 maximum');
+  });
+
+  it('rejects files that are not a published Hermez ptau', async function () {
+    const file = fakeHermez(14);
+    await expect(verifyKnownPtau(file, 14)).to.be.rejectedWith(`${file} is not a known powers of tau file`);
+    await expect(findHermezPtau(dir, 14)).to.be.rejectedWith('is not a known powers of tau file');
+  });
+
+  it('rejects a directory without a large enough ptau', async function () {
+    fakeHermez(12);
+    await expect(findHermezPtau(dir, 14)).to.be.rejectedWith(`No powersOfTau28_hez_final_14.ptau or larger in ${dir}`);
+    await expect(resolvePtau({ source: dir, dir, power: 14 })).to.be.rejectedWith('No powersOfTau28_hez_final_14.ptau');
+    expect(fs.readdirSync(dir)).to.deep.equal(['powersOfTau28_hez_final_12.ptau']);
+  });
+
+  it('falls back to a development ptau made in-process', async function () {
+    const ptau = await resolvePtau({ dir, power: 8 });
+    expect(ptau).to.deep.equal({ file: path.join(dir, 'pot8_dev_NOT_FOR_PRODUCTION.ptau'), production: false });
+    expect(fs.readdirSync(dir)).to.deep.equal(['pot8_dev_NOT_FOR_PRODUCTION.ptau']);
+    expect(await snarkjs.powersOfTau.verify(ptau.file)).to.equal(true);
+
+    // Reused by later builds, never passed off as a Hermez file.
+    expect(await resolvePtau({ dir, power: 8 })).to.deep.equal(ptau);
+    await expect(verifyKnownPtau(ptau.file, 8)).to.be.rejectedWith('is not a known powers of tau file');
+  });
+});
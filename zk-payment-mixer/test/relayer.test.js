@@ -0,0 +1,189 @@
+const { expect } = require('chai');
+const { ethers } = require('hardhat');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { deployHasher } = require('../scripts/poseidon-hasher');
+const { createDeposit } = require('../scripts/note');
+const { getMerklePath } = require('../scripts/merkle-tree');
+const { generateProof } = require('../scripts/generate-proof');
+const { createRelayer } = require('../scripts/relayer');
+const { ARTIFACTS: BUILD_FILES } = require('../scripts/manifest');
+const { requireArtifacts } = require('./helpers/artifacts');
+
+const LEVELS = 20;
+const BUILD = path.join(__dirname, '..', 'build');
+const ARTIFACTS = [
+  path.join(BUILD, 'withdraw_js', 'withdraw.wasm'),
+  path.join(BUILD, 'withdraw_final.zkey'),
+  path.join(BUILD, 'verification_key.json')
+];
+
+describe('relayer', function () {
+  this.timeout(120000);
+  const DEPOSIT = ethers.parseEther('0.1');
+  const FEE = ethers.parseEther('0.01');
+  const JOB_TTL = 1000;
+  let mixer, owner, user1, relayerSigner, server, jobs, baseUrl, cacheDir, proof, publicSignals, recipient, jobId;
+
+  before(async function () {
+    requireArtifacts(this, ARTIFACTS);
+    [owner, user1, , relayerSigner] = await ethers.getSigners();
+
+    const Verifier = await ethers.getContractFactory('MockVerifier');
+    const verifier = await Verifier.deploy();
+    const hasher = await deployHasher(owner);
+    const Mixer = await ethers.getContractFactory('Mixer');
+    mixer = await Mixer.deploy(await verifier.getAddress(), await hasher.getAddress(), LEVELS, DEPOSIT);
+    await mixer.waitForDeployment();
+
+    const deposit = await createDeposit();
+    await mixer.connect(user1).deposit(deposit.commitmentHex, { value: DEPOSIT });
+    cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'relayer-cache-'));
+    const { root, pathElements, pathIndices } = await getMerklePath(mixer, deposit.commitment, { cacheDir });
+
+    recipient = ethers.Wallet.createRandom().address;
+    ({ proof, publicSignals } = await generateProof({
+      root: BigInt(root).toString(),
+      nullifier_hash: deposit.nullifierHash.toString(),
+      recipient: BigInt(recipient).toString(),
+      relayer: BigInt(relayerSigner.address).toString(),
+      fee: FEE.toString(),
+      refund: '0',
+      secret: deposit.secret.toString(),
+      nullifier: deposit.nullifier.toString(),
+      path_elements: pathElements.map(String),
+      path_indices: pathIndices
+    }));
+
+    ({ server, jobs } = createRelayer({ mixer, signer: relayerSigner, minFee: FEE, jobTtl: JOB_TTL }));
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(function () {
+    if (server) server.close();
+    if (cacheDir) fs.rmSync(cacheDir, { recursive: true, force: true });
+  });
+
+  async function relay(body) {
+    const res = await fetch(`${baseUrl}/relay`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+    return { status: res.status, body: await res.json() };
+  }
+
+  async function waitForJob(id) {
+    for (let i = 0; i < 50; i++) {
+      const job = await (await fetch(`${baseUrl}/jobs/${id}`)).json();
+      if (job.status === 'confirmed' || job.status === 'failed') return job;
+      await new Promise((r) => setTimeout(r, 100));
+    }
+    throw new Error(`Job ${id} did not finish`);
+  }
+
+  it('reports its address and fee', async function () {
+    const status = await (await fetch(`${baseUrl}/status`)).json();
+    expect(status).to.deep.equal({
+      relayer: relayerSigner.address,
+      mixer: await mixer.getAddress(),
+      minFee: FEE.toString()
+    });
+  });
+
+  it('rejects proofs bound to another relayer', async function () {
+    const signals = [...publicSignals];
+    signals[3] = BigInt(user1.address).toString();
+    const { status, body } = await relay({ proof, publicSignals: signals });
+    expect(status).to.equal(400);
+    expect(body.error).to.equal('Proof is not bound to this relayer');
+  });
+
+  it('rejects proofs that fail off-chain verification', async function () {
+    const signals = [...publicSignals];
+    signals[4] = (FEE * 2n).toString();
+    const { status, body } = await relay({ proof, publicSignals: signals });
+    expect(status).to.equal(400);
+    expect(body.error).to.equal('Invalid proof');
+  });
+
+  it('rejects malformed proofs without a server error', async function () {
+    const malformed = [
+      'not a proof',
+      {},
+      { ...proof, pi_a: ['x', 'y', '1'] },
+      { ...proof, pi_b: null },
+      { ...proof, pi_c: [] }
+    ];
+    for (const bad of malformed) {
+      const { status, body } = await relay({ proof: bad, publicSignals });
+      expect(status).to.equal(400);
+      expect(body.error).to.equal('Invalid proof');
+    }
+  });
+
+  it('refuses to verify with a key that does not match the manifest', async function () {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'relayer-build-'));
+    const tampered = createRelayer({ mixer, signer: relayerSigner, minFee: FEE, build: dir }).server;
+    try {
+      for (const name of [BUILD_FILES.vkey, 'manifest.json']) fs.copyFileSync(path.join(BUILD, name), path.join(dir, name));
+      const vkey = JSON.parse(fs.readFileSync(path.join(dir, BUILD_FILES.vkey)));
+      vkey.IC.reverse();
+      fs.writeFileSync(path.join(dir, BUILD_FILES.vkey), JSON.stringify(vkey));
+
+      await new Promise((resolve) => tampered.listen(0, '127.0.0.1', resolve));
+      const res = await fetch(`http://127.0.0.1:${tampered.address().port}/relay`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ proof, publicSignals })
+      });
+      expect(res.status).to.equal(500);
+      expect((await res.json()).error).to.include('verification_key.json does not match manifest.json');
+      expect(await mixer.nullifiers(ethers.toBeHex(BigInt(publicSignals[1]), 32))).to.equal(false);
+    } finally {
+      tampered.close();
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('submits a valid withdrawal and reports the job status', async function () {
+    const { status, body } = await relay({ proof, publicSignals });
+    expect(status).to.equal(202);
+
+    jobId = body.id;
+    const job = await waitForJob(jobId);
+    expect(job.status).to.equal('confirmed');
+    expect(job.txHash).to.match(/^0x[0-9a-f]{64}$/);
+    expect(await ethers.provider.getBalance(recipient)).to.equal(DEPOSIT - FEE);
+    expect(await mixer.nullifiers(ethers.toBeHex(BigInt(publicSignals[1]), 32))).to.equal(true);
+  });
+
+  it('refuses to relay a spent nullifier', async function () {
+    const { status, body } = await relay({ proof, publicSignals });
+    expect(status).to.equal(409);
+    expect(body.error).to.equal('Nullifier already spent');
+  });
+
+  it('rejects oversized bodies without buffering them', async function () {
+    const res = await fetch(`${baseUrl}/relay`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ padding: 'x'.repeat(256 * 1024) })
+    });
+    expect(res.status).to.equal(413);
+    expect((await res.json()).error).to.equal('Request body too large');
+  });
+
+  it('evicts finished jobs after the TTL', async function () {
+    await new Promise((r) => setTimeout(r, JOB_TTL + 100));
+    expect(jobs.has(jobId)).to.equal(false);
+    expect((await fetch(`${baseUrl}/jobs/${jobId}`)).status).to.equal(404);
+  });
+
+  it('returns 404 for unknown jobs', async function () {
+    const res = await fetch(`${baseUrl}/jobs/00000000-0000-0000-0000-000000000000`);
+    expect(res.status).to.equal(404);
+  });
+});
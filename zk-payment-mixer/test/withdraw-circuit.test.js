@@ -0,0 +1,116 @@
+const { expect } = require('chai');
+const fs = require('fs');
+const path = require('path');
+const snarkjs = require('snarkjs');
+const { createDeposit } = require('../scripts/note');
+const { MerkleTree } = require('../scripts/merkle-tree');
+const { PUBLIC_SIGNALS, circuitDepth, generateProof, verifyProof } = require('../scripts/generate-proof');
+const { requireArtifacts } = require('./helpers/artifacts');
+
+const BUILD = path.join(__dirname, '..', 'build');
+const ARTIFACTS = [
+  path.join(BUILD, 'withdraw_js', 'withdraw.wasm'),
+  path.join(BUILD, 'withdraw_final.zkey'),
+  path.join(BUILD, 'verification_key.json')
+];
+
+describe('withdraw circuit', function () {
+  this.timeout(180000);
+  let vkey, deposit, tree, proof, publicSignals, signals;
+
+  const bound = {
+    recipient: '0x70997970C51812dc3A010C7d01b50e0d17dc79C8',
+    relayer: '0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC',
+    fee: 1000000000000000n,
+    refund: 0n
+  };
+
+  function inputsFor(d, index, overrides = {}) {
+    const { root, pathElements, pathIndices } = tree.path(index);
+    return {
+      root: root.toString(),
+      nullifier_hash: d.nullifierHash.toString(),
+      recipient: BigInt(bound.recipient).toString(),
+      relayer: BigInt(bound.relayer).toString(),
+      fee: bound.fee.toString(),
+      refund: bound.refund.toString(),
+      secret: d.secret.toString(),
+      nullifier: d.nullifier.toString(),
+      path_elements: pathElements.map(String),
+      path_indices: pathIndices,
+      ...overrides
+    };
+  }
+
+  before(async function () {
+    requireArtifacts(this, ARTIFACTS);
+    vkey = JSON.parse(fs.readFileSync(ARTIFACTS[2]));
+
+    deposit = await createDeposit();
+    tree = await MerkleTree.create(20, [deposit.commitment]);
+    ({ proof, publicSignals, signals } = await generateProof(inputsFor(deposit, 0)));
+  });
+
+  it('exposes exactly the bound public inputs', async function () {
+    expect(publicSignals).to.have.lengthOf(PUBLIC_SIGNALS.length);
+    expect(publicSignals[PUBLIC_SIGNALS.indexOf('recipient')]).to.equal(BigInt(bound.recipient).toString());
+    expect(signals).to.deep.equal({
+      root: tree.root,
+      nullifier_hash: deposit.nullifierHash,
+      recipient: BigInt(bound.recipient),
+      relayer: BigInt(bound.relayer),
+      fee: bound.fee,
+      refund: bound.refund
+    });
+    expect(await snarkjs.groth16.verify(vkey, publicSignals, proof)).to.equal(true);
+    expect(await verifyProof(proof, publicSignals)).to.equal(true);
+  });
+
+  for (const name of ['recipient', 'relayer', 'fee', 'refund']) {
+    it(`fails verification when ${name} is changed after proving`, async function () {
+      const tampered = [...publicSignals];
+      const i = PUBLIC_SIGNALS.indexOf(name);
+      tampered[i] = (BigInt(tampered[i]) + 1n).toString();
+      expect(await verifyProof(proof, tampered)).to.equal(false);
+    });
+  }
+
+  it('generates concurrent proofs without interfering', async function () {
+    const deposits = [await createDeposit(), await createDeposit(), await createDeposit()];
+    tree = await MerkleTree.create(20, deposits.map((d) => d.commitment));
+    const results = await Promise.all(deposits.map((d, i) => generateProof(inputsFor(d, i))));
+
+    results.forEach(({ signals: s }, i) => {
+      expect(s.root).to.equal(tree.root);
+      expect(s.nullifier_hash).to.equal(deposits[i].nullifierHash);
+    });
+    const checks = await Promise.all(results.map((r) => verifyProof(r.proof, r.publicSignals)));
+    expect(checks).to.deep.equal([true, true, true]);
+  });
+
+  it('reports a witness that does not satisfy the circuit', async function () {
+    tree = await MerkleTree.create(20, [deposit.commitment]);
+    await expect(generateProof(inputsFor(deposit, 0, { nullifier_hash: '1' })))
+      .to.be.rejectedWith('Proof generation failed');
+  });
+
+  it('rejects inputs missing a public signal', async function () {
+    await expect(generateProof({ root: '0', nullifier_hash: '0', recipient: '0' }))
+      .to.be.rejectedWith('Missing public inputs: relayer, fee, refund');
+  });
+
+  it('proves against a depth-16 build', async function () {
+    const build = path.join(BUILD, 'depth16');
+    requireArtifacts(this, [path.join(build, 'manifest.json')], 'npm run compile-circuit -- --depth 16 --out build/depth16 --skip-install');
+    expect(circuitDepth(build)).to.equal(16);
+    tree = await MerkleTree.create(16, [deposit.commitment]);
+    const { proof: p16, publicSignals: s16 } = await generateProof(inputsFor(deposit, 0), { build });
+    expect(await verifyProof(p16, s16, { build })).to.equal(true);
+    expect(await verifyProof(p16, s16)).to.equal(false);
+  });
+
+  it('reports missing artifacts', async function () {
+    await expect(generateProof(inputsFor(deposit, 0), { build: path.join(BUILD, 'missing') }))
+      .to.be.rejectedWith('Run compile-circuit');
+  });
+});